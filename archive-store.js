@@ -0,0 +1,359 @@
+/*
+  Archive store: IndexedDB persistence for captured chats. Loaded by the
+  background worker via importScripts and by extension pages via <script>;
+  all of them share the extension origin and therefore the same database.
+  The live recording helpers use compareMessages/messageFingerprint, so
+  export-formats.js has to be loaded first.
+*/
+
+const ARCHIVE_DB_NAME = 'chatgrabber';
+const ARCHIVE_DB_VERSION = 4;
+
+let archiveDbPromise = null;
+
+function openArchiveDb() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // Latest known message list per channel, used to merge incremental captures
+        if (!db.objectStoreNames.contains('channelArchives')) {
+          db.createObjectStore('channelArchives', { keyPath: 'channelKey' });
+        }
+        // Capture library: small listing records in `captures`, heavy payloads (messages, file Blob) in `captureData`
+        if (!db.objectStoreNames.contains('captures')) {
+          const captures = db.createObjectStore('captures', { keyPath: 'id', autoIncrement: true });
+          captures.createIndex('capturedAt', 'capturedAt');
+          captures.createIndex('channelKey', 'channelKey');
+        }
+        if (!db.objectStoreNames.contains('captureData')) {
+          db.createObjectStore('captureData', { keyPath: 'id' });
+        }
+        // Full-text search: one posting per (term, capture) listing the message ids that contain the term
+        if (!db.objectStoreNames.contains('searchPostings')) {
+          const postings = db.createObjectStore('searchPostings', { keyPath: ['term', 'captureId'] });
+          postings.createIndex('captureId', 'captureId');
+          // Captures saved before the index existed
+          const tx = req.transaction;
+          tx.objectStore('captureData').openCursor().onsuccess = (ev) => {
+            const cursor = ev.target.result;
+            if (!cursor) return;
+            if (cursor.value.messages) writeSearchPostings(postings, cursor.value.id, cursor.value.messages);
+            cursor.continue();
+          };
+        }
+        // Live recordings: one session record per recording, one row per (recording, message) with its earlier versions
+        if (!db.objectStoreNames.contains('recordings')) {
+          const recordings = db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+          recordings.createIndex('startedAt', 'startedAt');
+        }
+        if (!db.objectStoreNames.contains('recordedMessages')) {
+          const recorded = db.createObjectStore('recordedMessages', { keyPath: ['recordingId', 'messageId'] });
+          recorded.createIndex('recordingId', 'recordingId');
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer page or worker upgrade the schema instead of blocking on us
+        db.onversionchange = () => {
+          db.close();
+          archiveDbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => {
+        archiveDbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getChannelArchive(channelKey) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('channelArchives').objectStore('channelArchives').get(channelKey));
+}
+
+async function putChannelArchive(entry) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('channelArchives', 'readwrite').objectStore('channelArchives').put(entry));
+}
+
+async function deleteChannelArchive(channelKey) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('channelArchives', 'readwrite').objectStore('channelArchives').delete(channelKey));
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// entry: listing fields (site, channel, channelKey, username, messageCount, capturedAt, filename, savedPath, downloadId, format, sourceUrl, ...)
+// data: { capture, messages, blob } — any of them may be missing
+async function addCapture(entry, data) {
+  const db = await openArchiveDb();
+  const tx = db.transaction(['captures', 'captureData', 'searchPostings'], 'readwrite');
+  const record = {
+    ...entry,
+    hasMessages: Array.isArray(data?.messages),
+    hasFile: !!data?.blob,
+    sizeBytes: data?.blob ? data.blob.size : null
+  };
+  const id = await idbRequest(tx.objectStore('captures').add(record));
+  tx.objectStore('captureData').put({ id, capture: data?.capture || null, messages: data?.messages || null, blob: data?.blob || null });
+  if (record.hasMessages) writeSearchPostings(tx.objectStore('searchPostings'), id, data.messages);
+  await idbTransactionDone(tx);
+  return id;
+}
+
+async function updateCapture(id, changes) {
+  const db = await openArchiveDb();
+  const tx = db.transaction('captures', 'readwrite');
+  const store = tx.objectStore('captures');
+  const current = await idbRequest(store.get(id));
+  if (!current) throw new Error(`Capture ${id} not found`);
+  store.put({ ...current, ...changes, id });
+  await idbTransactionDone(tx);
+}
+
+// Newest first
+async function listCaptures() {
+  const db = await openArchiveDb();
+  const all = await idbRequest(db.transaction('captures').objectStore('captures').index('capturedAt').getAll());
+  return all.reverse();
+}
+
+async function getCapture(id) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('captures').objectStore('captures').get(id));
+}
+
+async function getCaptureData(id) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('captureData').objectStore('captureData').get(id));
+}
+
+async function deleteCapture(id) {
+  const db = await openArchiveDb();
+  const tx = db.transaction(['captures', 'captureData', 'searchPostings'], 'readwrite');
+  tx.objectStore('captures').delete(id);
+  tx.objectStore('captureData').delete(id);
+  tx.objectStore('searchPostings').index('captureId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (ev) => {
+    const cursor = ev.target.result;
+    if (!cursor) return;
+    tx.objectStore('searchPostings').delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await idbTransactionDone(tx);
+}
+
+// ---- Full-text search ----
+
+const SEARCH_MIN_TERM = 2;
+const SEARCH_MAX_TERM = 40;
+
+// Lowercased, accent-folded words; the same function is used for indexing and for queries
+function tokenizeForSearch(text) {
+  const folded = String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const terms = new Set();
+  for (const word of folded.split(/[^\p{L}\p{N}]+/u)) {
+    if (word.length >= SEARCH_MIN_TERM) terms.add(word.slice(0, SEARCH_MAX_TERM));
+  }
+  return [...terms];
+}
+
+function searchableText(msg) {
+  return [
+    msg.content,
+    msg.authorName,
+    ...(msg.attachments || []).map((a) => a.filename),
+    ...(msg.embeds || []).flatMap((e) => [e.title, e.description])
+  ].filter(Boolean).join('\n');
+}
+
+function writeSearchPostings(store, captureId, messages) {
+  const byTerm = new Map();
+  for (const msg of messages || []) {
+    if (!msg?.id) continue;
+    for (const term of tokenizeForSearch(searchableText(msg))) {
+      if (!byTerm.has(term)) byTerm.set(term, []);
+      byTerm.get(term).push(msg.id);
+    }
+  }
+  for (const [term, messageIds] of byTerm) store.put({ term, captureId, messageIds });
+}
+
+// Map of captureId -> Set(messageId) for every term starting with `prefix`
+async function lookupSearchTerm(store, prefix, exact) {
+  const range = exact
+    ? IDBKeyRange.bound([prefix], [prefix, []])
+    : IDBKeyRange.bound([prefix], [prefix + '\uffff', []]);
+  const postings = await idbRequest(store.getAll(range));
+  const hits = new Map();
+  for (const p of postings) {
+    if (!hits.has(p.captureId)) hits.set(p.captureId, new Set());
+    const set = hits.get(p.captureId);
+    for (const id of p.messageIds) set.add(id);
+  }
+  return hits;
+}
+
+// filters: { query, author, channel, from, to (epoch ms), hasAttachment, limit }
+// Every query word must match (the last one as a prefix, so results update while typing).
+// Returns [{ entry, message }] newest capture first; a message archived by several captures is listed once.
+async function searchCaptures(filters) {
+  const terms = tokenizeForSearch(filters.query);
+  const limit = filters.limit || 500;
+  const db = await openArchiveDb();
+  let candidates = null;
+  if (terms.length) {
+    const store = db.transaction('searchPostings').objectStore('searchPostings');
+    for (let i = 0; i < terms.length; i++) {
+      const hits = await lookupSearchTerm(store, terms[i], i < terms.length - 1);
+      if (!candidates) {
+        candidates = hits;
+      } else {
+        for (const [captureId, ids] of candidates) {
+          const other = hits.get(captureId);
+          if (!other) { candidates.delete(captureId); continue; }
+          for (const id of ids) if (!other.has(id)) ids.delete(id);
+          if (!ids.size) candidates.delete(captureId);
+        }
+      }
+      if (!candidates.size) return [];
+    }
+  }
+
+  const author = String(filters.author || '').trim().toLowerCase();
+  const channel = String(filters.channel || '').trim().toLowerCase();
+  const results = [];
+  const seen = new Set();
+  for (const entry of await listCaptures()) {
+    if (!entry.hasMessages) continue;
+    if (candidates && !candidates.has(entry.id)) continue;
+    if (channel && !String(entry.channel || '').toLowerCase().includes(channel)) continue;
+    const data = await getCaptureData(entry.id);
+    const wanted = candidates ? candidates.get(entry.id) : null;
+    for (const msg of data?.messages || []) {
+      if (wanted && !wanted.has(msg.id)) continue;
+      if (author && !String(msg.authorName || '').toLowerCase().includes(author)) continue;
+      if (filters.hasAttachment && !(msg.attachments || []).length) continue;
+      if (filters.from != null || filters.to != null) {
+        const t = Date.parse(msg.timestamp);
+        if (isNaN(t) || (filters.from != null && t < filters.from) || (filters.to != null && t > filters.to)) continue;
+      }
+      const key = `${entry.channelKey || entry.id}|${msg.id}`;
+      if (msg.id && seen.has(key)) continue;
+      seen.add(key);
+      results.push({ entry, message: msg });
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+// ---- Live recordings ----
+
+// entry: { site, channel, channelKey, username, sourceUrl, capture, startedAt }
+async function createRecording(entry) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('recordings', 'readwrite').objectStore('recordings').add({
+    ...entry,
+    stoppedAt: null,
+    messageCount: 0,
+    editCount: 0
+  }));
+}
+
+async function updateRecording(id, changes) {
+  const db = await openArchiveDb();
+  const tx = db.transaction('recordings', 'readwrite');
+  const store = tx.objectStore('recordings');
+  const current = await idbRequest(store.get(id));
+  if (!current) throw new Error(`Recording ${id} not found`);
+  store.put({ ...current, ...changes, id });
+  await idbTransactionDone(tx);
+}
+
+async function getRecording(id) {
+  const db = await openArchiveDb();
+  return idbRequest(db.transaction('recordings').objectStore('recordings').get(id));
+}
+
+// Newest first
+async function listRecordings() {
+  const db = await openArchiveDb();
+  const all = await idbRequest(db.transaction('recordings').objectStore('recordings').index('startedAt').getAll());
+  return all.reverse();
+}
+
+// Stores messages seen by the page recorder. A message seen again with different
+// content keeps its previous version in `revisions`. Returns { added, edited }.
+async function appendRecordedMessages(recordingId, messages, seenAt) {
+  const db = await openArchiveDb();
+  const tx = db.transaction(['recordings', 'recordedMessages'], 'readwrite');
+  const store = tx.objectStore('recordedMessages');
+  let added = 0;
+  let edited = 0;
+  for (const message of messages || []) {
+    if (!message?.id) continue;
+    const current = await idbRequest(store.get([recordingId, message.id]));
+    if (!current) {
+      store.put({ recordingId, messageId: message.id, message, firstSeenAt: seenAt, changedAt: seenAt, revisions: [] });
+      added++;
+    } else if (messageFingerprint(current.message) !== messageFingerprint(message)) {
+      const revisions = [...current.revisions, { seenAt: current.changedAt, message: current.message }];
+      store.put({ ...current, message, changedAt: seenAt, revisions });
+      edited++;
+    }
+  }
+  if (added || edited) {
+    const recordings = tx.objectStore('recordings');
+    const recording = await idbRequest(recordings.get(recordingId));
+    if (recording) {
+      recordings.put({ ...recording, messageCount: recording.messageCount + added, editCount: recording.editCount + edited, updatedAt: seenAt });
+    }
+  }
+  await idbTransactionDone(tx);
+  return { added, edited };
+}
+
+// The recorded messages in chat order, each with `recordedAt` and, if it changed
+// while recording, `revisions` ([{ seenAt, content, editedTimestamp }], oldest first)
+async function getRecordedMessages(recordingId) {
+  const db = await openArchiveDb();
+  const rows = await idbRequest(db.transaction('recordedMessages').objectStore('recordedMessages').index('recordingId').getAll(IDBKeyRange.only(recordingId)));
+  return rows.map((row) => {
+    const message = { ...row.message, recordedAt: row.firstSeenAt };
+    if (row.revisions.length) {
+      message.revisions = row.revisions.map((r) => ({ seenAt: r.seenAt, content: r.message.content ?? null, editedTimestamp: r.message.editedTimestamp ?? null }));
+    }
+    return message;
+  }).sort(compareMessages);
+}
+
+async function deleteRecording(id) {
+  const db = await openArchiveDb();
+  const tx = db.transaction(['recordings', 'recordedMessages'], 'readwrite');
+  tx.objectStore('recordings').delete(id);
+  tx.objectStore('recordedMessages').index('recordingId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (ev) => {
+    const cursor = ev.target.result;
+    if (!cursor) return;
+    tx.objectStore('recordedMessages').delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await idbTransactionDone(tx);
+}
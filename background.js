@@ -4,9 +4,22 @@
   final single-file HTML.
 */
 
+importScripts('export-formats.js', 'archive-store.js', 'settings.js', 'filename-template.js', 'redaction.js');
+
 const CONTENT_MESSAGE_PORTS = new Map();
 const DISABLE_PHOTOS_KEY = 'sf_disable_photos';
 const DISABLE_GIFS_KEY = 'sf_disable_gifs';
+const INCREMENTAL_KEY = 'sf_incremental';
+const INCREMENTAL_MERGE_KEY = 'sf_incremental_merge';
+// { [channelKey]: { id, timestamp, capturedAt } } newest archived message per channel URL
+const CHANNEL_CURSORS_KEY = 'sf_channel_cursors';
+// { running, tabId, format, startedAt, finishedAt, cancelled, items: [{ url, name, status, messageCount, filename, path, error }] }
+const BATCH_STATE_KEY = 'sf_batch_state';
+// [{ id, url, name, format, everyHours, saveFile, enabled, createdAt, nextRunAt, lastRun }] periodic captures
+const SCHEDULES_KEY = 'sf_schedules';
+const SCHEDULE_ALARM_PREFIX = 'sf-schedule-';
+// { [tabId]: { recordingId, channelKey } } tabs with a live recording running
+const LIVE_RECORDINGS_KEY = 'sf_live_recordings';
 
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'sf-channel') return;
@@ -16,6 +29,48 @@ chrome.runtime.onConnect.addListener((port) => {
   port.onDisconnect.addListener(() => CONTENT_MESSAGE_PORTS.delete(tabId));
 });
 
+// Content scripts stream large files (e.g. the single-file HTML) here in string chunks
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'sf-download') return;
+  let filename = 'download.html';
+  let mime = 'text/html';
+  let parts = [];
+  port.onMessage.addListener(async (msg) => {
+    if (msg?.type === 'DOWNLOAD_BEGIN') {
+      filename = msg.filename || filename;
+      mime = msg.mime || mime;
+      parts = [];
+    } else if (msg?.type === 'DOWNLOAD_CHUNK') {
+      parts.push(msg.chunk);
+      port.postMessage({ type: 'DOWNLOAD_CHUNK_ACK', index: msg.index });
+    } else if (msg?.type === 'DOWNLOAD_END') {
+      const blob = new Blob(parts, { type: mime });
+      parts = [];
+      // The page may be gone by the time the download settles; its port then throws on postMessage
+      const reply = (done) => { try { port.postMessage({ type: 'DOWNLOAD_DONE', ...done }); } catch {} };
+      let saved;
+      try {
+        saved = await downloadBlob(blob, filename);
+      } catch (e) {
+        // A dismissed save dialog rejects with "Download canceled"; the page must not retry that
+        reply({ ok: false, error: String(e), cancelled: /cancel/i.test(String(e)) });
+        return;
+      }
+      reply({ ok: saved.state === 'complete', state: saved.state });
+      // Filing the page is a separate step: the reply above stands whatever happens here
+      try {
+        const tab = port.sender?.tab;
+        if (tab?.id != null) {
+          const { siteName, username } = await getSiteAndUsername(tab.id);
+          await saveToLibrary({ format: 'html', filename, saved, capture: buildCaptureInfo({ url: tab.url, title: tab.title }, siteName, username), blob });
+        }
+      } catch (e) {
+        console.warn('[ChatGrabber] Could not file the saved page in the library:', e);
+      }
+    }
+  });
+});
+
 chrome.action.onClicked.addListener(async (tab) => {
   if (!tab?.id) return;
   await captureMHTML(tab);
@@ -35,39 +90,139 @@ chrome.runtime.onInstalled.addListener(async () => {
   if (typeof current[DISABLE_GIFS_KEY] === 'undefined') toSet[DISABLE_GIFS_KEY] = true;
   if (Object.keys(toSet).length) await chrome.storage.local.set(toSet);
   await registerContextMenus();
+  await syncScheduleAlarms();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   await registerContextMenus();
+  await syncScheduleAlarms();
 });
 
 async function registerContextMenus() {
   try { await chrome.contextMenus.removeAll(); } catch {}
   chrome.contextMenus.create({ id: 'sf-save-mhtml', title: 'Save page as MHTML (exact snapshot)', contexts: ['action', 'page'] });
-  chrome.contextMenus.create({ id: 'sf-capture-chat-history', title: 'Capture Discord (auto-scroll → MHTML)', contexts: ['action', 'page'] });
-  const state = await chrome.storage.local.get([DISABLE_PHOTOS_KEY, DISABLE_GIFS_KEY]);
+  chrome.contextMenus.create({ id: 'sf-save-single-html', title: 'Save page as single HTML (inlined)', contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-capture-chat-history', title: 'Capture chat history (auto-scroll → MHTML)', contexts: ['action', 'page'] });
+  for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) {
+    chrome.contextMenus.create({ id: `sf-capture-chat-${format}`, title: `Capture chat → ${exporter.label}`, contexts: ['action', 'page'] });
+  }
+  chrome.contextMenus.create({ id: 'sf-capture-chat-range', title: 'Capture chat for a date range…', contexts: ['action', 'page'] });
+  const state = await chrome.storage.local.get([DISABLE_PHOTOS_KEY, DISABLE_GIFS_KEY, INCREMENTAL_KEY, INCREMENTAL_MERGE_KEY]);
+  chrome.contextMenus.create({ id: 'sf-live-recording', title: 'Record new messages live in this tab', type: 'checkbox', checked: false, contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-incremental', title: 'Incremental: only messages since last capture', type: 'checkbox', checked: !!state[INCREMENTAL_KEY], contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-incremental-merge', title: 'Incremental: merge into previous archive', type: 'checkbox', checked: !!state[INCREMENTAL_MERGE_KEY], contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-incremental-reset', title: 'Forget last capture of this channel', contexts: ['action', 'page'] });
   chrome.contextMenus.create({ id: 'sf-disable-photos', title: 'Disable photos', type: 'checkbox', checked: !!state[DISABLE_PHOTOS_KEY], contexts: ['action', 'page'] });
   chrome.contextMenus.create({ id: 'sf-disable-gifs', title: 'Disable GIFs', type: 'checkbox', checked: !!state[DISABLE_GIFS_KEY], contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-redact', title: 'Redact names and personal data', type: 'checkbox', checked: !!(await loadOptions()).redaction.enabled, contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-open-library', title: 'Open capture library', contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-open-search', title: 'Search captured chats', contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-options', title: 'Options…', contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-batch-capture', title: 'Batch capture channels…', contexts: ['action', 'page'] });
+  chrome.contextMenus.create({ id: 'sf-schedules', title: 'Schedule captures of this channel…', contexts: ['action', 'page'] });
   const version = chrome.runtime.getManifest().version || '0.0.0';
   chrome.contextMenus.create({ id: 'sf-version', title: `Version ${version}`, enabled: false, contexts: ['action', 'page'] });
 }
 
+// The options page can switch redaction too; keep the menu checkbox in step
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[OPTIONS_KEY]) return;
+  const enabled = !!normalizeOptions(changes[OPTIONS_KEY].newValue).redaction.enabled;
+  chrome.contextMenus.update('sf-redact', { checked: enabled }).catch(() => {});
+});
+
+// Keyboard shortcuts declared under "commands" in manifest.json (keys are set in chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  if (command === 'save-mhtml') await captureMHTML(tab);
+  else if (command === 'capture-chat-history') await captureChatHistory(tab);
+  else if (command === 'save-single-html') await saveSingleFileHtml(tab);
+  else if (command === 'toggle-media-stripping') await toggleMediaStripping(tab);
+});
+
+// Turns photo and GIF stripping both on, or both off if either was on, and mirrors it in the menu
+async function toggleMediaStripping(tab) {
+  const conf = await chrome.storage.local.get([DISABLE_PHOTOS_KEY, DISABLE_GIFS_KEY]);
+  const strip = !conf[DISABLE_PHOTOS_KEY] && !conf[DISABLE_GIFS_KEY];
+  await chrome.storage.local.set({ [DISABLE_PHOTOS_KEY]: strip, [DISABLE_GIFS_KEY]: strip });
+  try {
+    await chrome.contextMenus.update('sf-disable-photos', { checked: strip });
+    await chrome.contextMenus.update('sf-disable-gifs', { checked: strip });
+  } catch {}
+  await setBadge(tab.id, strip ? '-IMG' : '+IMG', '#555', 3000);
+}
+
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === 'sf-open-library') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    return;
+  }
+  if (info.menuItemId === 'sf-open-search') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL('search.html') });
+    return;
+  }
+  if (info.menuItemId === 'sf-options') {
+    await chrome.runtime.openOptionsPage();
+    return;
+  }
   if (!tab?.id) return;
+  if (info.menuItemId === 'sf-batch-capture') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html?tab=${tab.id}`) });
+    return;
+  }
+  if (info.menuItemId === 'sf-schedules') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`schedules.html?tab=${tab.id}`) });
+    return;
+  }
+  if (info.menuItemId === 'sf-capture-chat-range') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`range.html?tab=${tab.id}`) });
+    return;
+  }
   if (info.menuItemId === 'sf-save-mhtml') {
     await captureMHTML(tab);
     return;
   }
+  if (info.menuItemId === 'sf-save-single-html') {
+    await saveSingleFileHtml(tab);
+    return;
+  }
   if (info.menuItemId === 'sf-capture-chat-history') {
     await captureChatHistory(tab);
     return;
   }
+  const exportMatch = String(info.menuItemId).match(/^sf-capture-chat-(\w+)$/);
+  if (exportMatch && EXPORT_FORMATS[exportMatch[1]]) {
+    await captureChatExport(tab, exportMatch[1]);
+    return;
+  }
+  if (info.menuItemId === 'sf-live-recording') {
+    if (info.checked) await startLiveRecording(tab);
+    else await stopLiveRecording(tab.id);
+    return;
+  }
+  if (info.menuItemId === 'sf-incremental' || info.menuItemId === 'sf-incremental-merge') {
+    const key = info.menuItemId === 'sf-incremental' ? INCREMENTAL_KEY : INCREMENTAL_MERGE_KEY;
+    await chrome.storage.local.set({ [key]: !!info.checked });
+    return;
+  }
+  if (info.menuItemId === 'sf-incremental-reset') {
+    let channel = null;
+    try { ({ channel } = await findChatFrame(tab.id)); } catch {}
+    await forgetChannelCapture(chatChannelKey(tab.url, channel));
+    return;
+  }
   if (info.menuItemId === 'sf-disable-photos') {
     const newValue = !!info.checked; // checked reflects the new state
     await chrome.storage.local.set({ [DISABLE_PHOTOS_KEY]: newValue });
     await chrome.contextMenus.update('sf-disable-photos', { checked: newValue });
     return;
   }
+  if (info.menuItemId === 'sf-redact') {
+    const options = await loadOptions();
+    await saveOptions({ ...options, redaction: { ...options.redaction, enabled: !!info.checked } });
+    return;
+  }
   if (info.menuItemId === 'sf-disable-gifs') {
     const newValue = !!info.checked; // checked reflects the new state
     await chrome.storage.local.set({ [DISABLE_GIFS_KEY]: newValue });
@@ -90,61 +245,75 @@ async function captureMHTML(tab) {
     if (disablePhotos || disableGifs) {
       await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, func: stripMediaInPage, args: [disablePhotos, disableGifs] });
     }
-    const blob = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
     const { siteName, username } = await getSiteAndUsername(tab.id);
-    const filename = buildPreferredFilename(siteName, username) + '.mhtml';
-    const bytes = await blob.arrayBuffer();
-    const base64 = arrayBufferToBase64(bytes);
-    const dataUrl = `data:multipart/related;base64,${base64}`;
-    await chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
+    const { redaction } = await loadOptions();
+    let blob;
+    if (redaction.enabled) await pauseLiveRecorder(tab.id, true);
+    try {
+      if (redaction.enabled) await redactPageForCapture(tab.id, redaction, await capturePseudonyms(tab.id, username));
+      blob = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+    } finally {
+      if (redaction.enabled) {
+        await restorePageRedaction(tab.id);
+        await pauseLiveRecorder(tab.id, false);
+      }
+    }
+    const filename = await buildCaptureFilename(tab.id, { siteName, username, format: 'mhtml', extension: 'mhtml' });
+    const saved = await downloadBlob(blob, filename);
+    await saveToLibrary({ format: 'mhtml', filename, saved, capture: buildCaptureInfo({ url: tab.url, title: tab.title }, siteName, username), blob });
   } catch (e) {
     console.error('MHTML capture failed', e);
   }
 }
 
+// Kick off content.js's single-file saver in the top frame; it reports back via SF_SINGLEFILE_* messages
+async function saveSingleFileHtml(tab) {
+  try {
+    // content.js clones the page on its own schedule, so there is no point at which to redact and restore it
+    if ((await loadOptions()).redaction.enabled) {
+      console.warn('[ChatGrabber] Single HTML save skipped: redaction is on and cannot be applied to it');
+      await setBadge(tab.id, 'RED', '#b00', 8000);
+      return;
+    }
+    await setBadge(tab.id, '…', '#555');
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'SF_START' }, { frameId: 0 });
+    } catch {
+      // Tab was open before the extension loaded, so the content script is missing
+      await chrome.scripting.executeScript({ target: { tabId: tab.id, frameIds: [0] }, files: ['content.js'] });
+      await chrome.tabs.sendMessage(tab.id, { type: 'SF_START' }, { frameId: 0 });
+    }
+  } catch (e) {
+    console.error('Single HTML save failed to start', e);
+    await setBadge(tab.id, 'ERR', '#b00', 8000);
+  }
+}
+
+async function setBadge(tabId, text, color, clearAfterMs) {
+  try {
+    await chrome.action.setBadgeText({ tabId, text });
+    if (color) await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    if (clearAfterMs) {
+      setTimeout(() => { chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {}); }, clearAfterMs);
+    }
+  } catch {}
+}
+
 function forceLoadAllImagesInMessages() {
   return (async () => {
     try {
+      const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+      if (!adapter) return;
       // Find the message container
-      const container = document.querySelector('ol[data-list-id="chat-messages"]') || 
-                       document.querySelector('[role="log"]') ||
-                       document.querySelector('main');
+      const container = adapter.findMessageContainer() || document.querySelector('main');
       
       if (!container) {
         console.warn('[ChatGrabber] Could not find message container for force-loading images');
         return;
       }
       
-      // First, extract image URLs from anchor tags (Discord's originalLink pattern)
-      // and set them on the corresponding img elements
-      const originalLinks = Array.from(container.querySelectorAll('a[class*="originalLink"], a[href*="cdn.discordapp.com"], a[href*="attachments"]'));
-      originalLinks.forEach(link => {
-        try {
-          const imgUrl = link.href || link.getAttribute('data-safe-src');
-          if (imgUrl && (imgUrl.includes('cdn.discordapp.com') || imgUrl.includes('attachments'))) {
-            // Find the associated img element (usually a sibling or in the same container)
-            const imageContainer = link.closest('[class*="imageWrapper"], [class*="mosaicItem"], [class*="visualMediaItemContainer"], [class*="imageContainer"]');
-            if (imageContainer) {
-              const img = imageContainer.querySelector('img[class*="lazyImg"], img');
-              if (img) {
-                // Prefer original CDN URL over media.discordapp.net URLs
-                const currentSrc = img.src || img.getAttribute('src') || '';
-                if (!currentSrc || currentSrc.includes('media.discordapp.net') || currentSrc === 'about:blank') {
-                  img.src = imgUrl;
-                  img.removeAttribute('data-src');
-                  img.removeAttribute('data-lazy-src');
-                  img.removeAttribute('data-original');
-                  img.style.display = 'block';
-                  img.style.visibility = 'visible';
-                  img.style.opacity = '1';
-                }
-              }
-            }
-          }
-        } catch (e) {
-          // Skip this link if there's an error
-        }
-      });
+      // Let the site swap preview images for their originals first
+      adapter.prepareMedia(container);
       
       // Find all images in messages
       const allImages = Array.from(container.querySelectorAll('img'));
@@ -165,16 +334,10 @@ function forceLoadAllImagesInMessages() {
                    img.getAttribute('data-url') ||
                    img.getAttribute('src');
           
-          // If we have a media.discordapp.net URL, try to find the original CDN URL
-          if (src && src.includes('media.discordapp.net')) {
-            const imageContainer = img.closest('[class*="imageWrapper"], [class*="mosaicItem"], [class*="visualMediaItemContainer"]');
-            if (imageContainer) {
-              const originalLink = imageContainer.querySelector('a[class*="originalLink"], a[href*="cdn.discordapp.com"]');
-              if (originalLink && originalLink.href) {
-                src = originalLink.href; // Prefer the original CDN URL
-              }
-            }
-          }
+          // Prefer the site's original-resolution URL over a preview
+          const resolved = adapter.resolveImageUrl(img, src);
+          const swapped = !!resolved && resolved !== src;
+          src = resolved;
           
           if (!src || src.startsWith('data:') || src.startsWith('blob:') || src === 'about:blank') {
             continue;
@@ -196,7 +359,7 @@ function forceLoadAllImagesInMessages() {
             img.removeAttribute('data-lazy-src');
             img.removeAttribute('data-original');
             promoted++;
-          } else if (!img.getAttribute('src') || img.getAttribute('src') === 'about:blank' || (img.src && img.src.includes('media.discordapp.net') && src.includes('cdn.discordapp.com'))) {
+          } else if (!img.getAttribute('src') || img.getAttribute('src') === 'about:blank' || swapped) {
             img.src = src;
             promoted++;
           }
@@ -283,8 +446,7 @@ function forceLoadAllImagesInMessages() {
       void container.offsetHeight;
       
       // Scroll a bit to trigger any viewport-based loading
-      const scroller = container.closest('[class*="scroller"]') || 
-                      document.querySelector('[data-list-id="chat-messages"]')?.closest('[class*="scroller"]');
+      const scroller = adapter.findScroller();
       if (scroller) {
         const currentScroll = scroller.scrollTop;
         scroller.scrollTop = currentScroll + 1;
@@ -472,17 +634,123 @@ function stripMediaInPage(disablePhotos, disableGifs) {
   } catch {}
 }
 
+let offscreenCreating = null;
+
 async function ensureOffscreen() {
-  const offscreenUrl = chrome.runtime.getURL('offscreen.html');
-  const existing = await chrome.offscreen.hasDocument();
-  if (!existing) {
-    await chrome.offscreen.createDocument({ url: offscreenUrl, reasons: [chrome.offscreen.Reason.BLOBS], justification: 'Save MHTML via object URL in MV3' });
+  // Concurrent downloads share one check-and-create, so none of them sees "no document" while another creates it
+  if (!offscreenCreating) {
+    offscreenCreating = (async () => {
+      if (await chrome.offscreen.hasDocument()) return;
+      try {
+        await chrome.offscreen.createDocument({ url: chrome.runtime.getURL('offscreen.html'), reasons: [chrome.offscreen.Reason.BLOBS], justification: 'Assemble large captures as Blob object URLs for chrome.downloads' });
+      } catch (e) {
+        // Created elsewhere in the meantime; that document serves just as well
+        if (!/single offscreen document/i.test(String(e?.message || e))) throw e;
+      }
+    })().finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+}
+
+// Bytes per port message. Each chunk is base64-encoded in transit, so only one
+// chunk's worth of string is ever alive in the worker instead of the whole file.
+const OFFSCREEN_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Streams a Blob to the offscreen document, which rebuilds it and returns an object URL for chrome.downloads
+// options.saveAs: false saves straight to the downloads folder (batch captures); otherwise the options page decides.
+// Resolves with { id, state, path } once the download has finished
+async function downloadBlob(blob, filename, options) {
+  await ensureOffscreen();
+  const port = chrome.runtime.connect({ name: 'offscreen-download' });
+  const pending = new Map();
+  let readyResolve;
+  const ready = new Promise((resolve) => { readyResolve = resolve; });
+  let disconnected = false;
+  port.onMessage.addListener((msg) => {
+    if (msg?.type === 'DOWNLOAD_CHUNK_ACK') {
+      const resolve = pending.get(msg.index);
+      pending.delete(msg.index);
+      if (resolve) resolve();
+    } else if (msg?.type === 'DOWNLOAD_READY') {
+      readyResolve(msg.url);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    for (const resolve of pending.values()) resolve();
+    pending.clear();
+    readyResolve(null);
+  });
+  try {
+    port.postMessage({ type: 'DOWNLOAD_BEGIN', filename, mime: blob.type || 'application/octet-stream' });
+    let index = 0;
+    for (let offset = 0; offset < blob.size; offset += OFFSCREEN_CHUNK_SIZE) {
+      if (disconnected) throw new Error('Offscreen document went away during download');
+      const bytes = await blob.slice(offset, offset + OFFSCREEN_CHUNK_SIZE).arrayBuffer();
+      const acked = new Promise((resolve) => pending.set(index, resolve));
+      port.postMessage({ type: 'DOWNLOAD_CHUNK', index, chunk: arrayBufferToBase64(bytes) });
+      // Wait for the offscreen side to take the chunk before encoding the next one
+      await acked;
+      index++;
+    }
+    port.postMessage({ type: 'DOWNLOAD_END' });
+    const url = await ready;
+    if (!url) throw new Error('Offscreen document went away during download');
+    // Callers may force saveAs (batch and scheduled runs never prompt); otherwise the options page decides
+    const { download } = await loadOptions();
+    const downloadId = await chrome.downloads.download({ url, filename, saveAs: options?.saveAs ?? download.saveAs, conflictAction: download.conflictAction });
+    const state = await waitForDownload(downloadId);
+    // The absolute path the file ended up at (renamed by the dialog or by Chrome's own numbering)
+    let path = null;
+    if (state === 'complete') {
+      try { path = (await chrome.downloads.search({ id: downloadId }))[0]?.filename || null; } catch {}
+    }
+    return { id: downloadId, state, path };
+  } finally {
+    if (!disconnected) {
+      try { port.postMessage({ type: 'DOWNLOAD_RELEASE' }); } catch {}
+    }
   }
 }
 
-// -------- Discord transcript capture ---------
+// Resolves with the final state once the download leaves "in_progress" (object URL can then be revoked)
+function waitForDownload(downloadId) {
+  return new Promise((resolve) => {
+    const done = (state) => {
+      chrome.downloads.onChanged.removeListener(listener);
+      resolve(state);
+    };
+    const listener = (delta) => {
+      if (delta.id !== downloadId || !delta.state) return;
+      if (delta.state.current === 'complete' || delta.state.current === 'interrupted') done(delta.state.current);
+    };
+    chrome.downloads.onChanged.addListener(listener);
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (!item || item.state === 'complete' || item.state === 'interrupted') done(item ? item.state : 'interrupted');
+    }).catch(() => done('interrupted'));
+  });
+}
+
+// -------- Chat transcript capture ---------
+// The in-page steps below are site-agnostic; site-adapters.js supplies the DOM knowledge
+
+// options: { saveAs, batch, range, incremental, download } — batch runs save without prompting and skip the
+// transcript fallback; range ({ from, to } epoch ms) limits the capture to messages sent in that period;
+// incremental: true forces an incremental run whatever the menu says; download: false only files the
+// capture in the library. Date-range and incremental runs skip the transcript fallback too.
+// Resolves to { ok, messageCount, filename } or { ok: false, error }.
+async function captureChatHistory(tab, options = {}) {
+  return withCaptureProgress(tab, () => runChatHistoryCapture(tab, options));
+}
 
-async function captureChatHistory(tab) {
+async function runChatHistoryCapture(tab, options) {
+  let range;
+  try {
+    range = normalizeCaptureRange(options.range);
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+  let stopAt = null;
   try {
     // Check if tab is still valid before proceeding
     if (!tab || !tab.id) {
@@ -490,40 +758,20 @@ async function captureChatHistory(tab) {
     }
     
     // 1) Auto-scroll to buffer messages into window.__sf_capturedMessages
-    // Parameters: maxMessages (10000 = stop after 10k messages), settleMs (1200ms for better lazy loading), maxNoNew (more lenient), untilTop (true)
-    let scrollResult;
-    try {
-      const results = await chrome.scripting.executeScript({ 
-        target: { tabId: tab.id, allFrames: false }, 
-        func: autoScrollDiscordHistory, 
-        args: [10000, 1200, 15, true] 
-      });
-      scrollResult = results && results[0] ? results[0].result : null;
-    } catch (e) {
-      if (e.message && e.message.includes('Frame with ID') && e.message.includes('was removed')) {
-        throw new Error('Tab was closed or navigated away during capture');
-      }
-      throw e;
-    }
-    
-    if (scrollResult && !scrollResult.ok) {
-      console.warn('[ChatGrabber] Scroll failed, attempting fallback');
-    }
-    
-    // Check tab validity again before continuing
-    try {
-      await chrome.tabs.get(tab.id);
-    } catch (e) {
-      throw new Error('Tab was closed or navigated away during capture');
+    const settings = await getCaptureSettings(tab.id);
+    stopAt = await getIncrementalStart(tab, options.incremental);
+    const scrollResult = await runChatAutoScroll(tab, stopAt, range, settings);
+    if ((stopAt || range) && scrollResult?.ok && !scrollResult.loaded) {
+      console.log(`[ChatGrabber] No ${range ? 'messages in the selected date range' : 'new messages since the last capture of this channel'}`);
+      await setBadge(tab.id, '0', '#555', 8000);
+      return { ok: true, messageCount: 0, filename: null };
     }
     
     // 2) Merge all cached messages into the DOM (no scrolling - just insert)
+    await enterCapturePhase(tab.id, 'merge');
     let mergeRes;
     try {
-      const results = await chrome.scripting.executeScript({ 
-        target: { tabId: tab.id, allFrames: false }, 
-        func: mergeBufferedMessagesIntoDiscordPage 
-      });
+      const results = await executeWithSiteAdapter(tab.id, mergeBufferedMessagesIntoPage);
       mergeRes = results && results[0] ? results[0].result : null;
     } catch (e) {
       if (e.message && e.message.includes('Frame with ID') && e.message.includes('was removed')) {
@@ -550,11 +798,12 @@ async function captureChatHistory(tab) {
     const didStrip = disablePhotos || disableGifs;
     
     if (!didStrip) {
+      await enterCapturePhase(tab.id, 'images');
       // Force-load all images if we're not stripping them
       try { 
-        await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: false }, func: forceLoadAllImagesInMessages }); 
+        await executeWithSiteAdapter(tab.id, forceLoadAllImagesInMessages); 
         // Give images time to load and render
-        await new Promise(r => setTimeout(r, 2000));
+        await new Promise(r => setTimeout(r, settings.imageWaitMs));
       } catch (e) {
         console.warn('[ChatGrabber] Error force-loading images:', e);
       }
@@ -563,32 +812,72 @@ async function captureChatHistory(tab) {
       try { 
         await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, func: preloadImagesInPage }); 
         // Give images more time to load
-        await new Promise(r => setTimeout(r, 1500));
+        await new Promise(r => setTimeout(r, settings.preloadWaitMs));
       } catch (e) {
         console.warn('[ChatGrabber] Error preloading images:', e);
       }
     }
     
+    // The overlay must not end up in the snapshot
+    await enterCapturePhase(tab.id, 'save', { hidden: true });
+    
     // 4) Apply media toggles if enabled
     if (didStrip) {
       try { await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, func: stripMediaInPage, args: [disablePhotos, disableGifs] }); } catch {}
     }
     
-    // 5) Capture the same tab as MHTML (keeps Discord layout)
-    const blob = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+    // 5) Capture the same tab as MHTML (keeps Discord layout), pseudonymized and masked first when
+    //    redaction is on; the live page is put back right after the snapshot
     const { siteName, username } = await getSiteAndUsername(tab.id);
-    const filename = buildPreferredFilename(siteName, username) + '.mhtml';
-    const bytes = await blob.arrayBuffer();
-    const base64 = arrayBufferToBase64(bytes);
-    const dataUrl = `data:multipart/related;base64,${base64}`;
-    await chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
+    const { redaction } = await loadOptions();
+    let blob;
+    try {
+      if (redaction.enabled) await redactPageForCapture(tab.id, redaction, await capturePseudonyms(tab.id, username));
+      blob = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+    } finally {
+      if (redaction.enabled) await restorePageRedaction(tab.id);
+    }
+    await updateCaptureProgress(tab.id, { hidden: false });
+    const filename = await buildCaptureFilename(tab.id, { siteName, username, messageCount: mergeRes?.totalMessages ?? scrollResult?.loaded ?? null, format: 'mhtml', extension: 'mhtml' });
+    const saved = options.download !== false ? await downloadBlob(blob, filename, options) : null;
     
     // 6) Restore media if we stripped
     if (didStrip) {
       try { await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, func: restoreMediaInPage }); } catch {}
     }
+    
+    // 7) Remember where this capture ended so the next incremental run can resume from it, and file it in the library
+    let messageCount = mergeRes?.totalMessages ?? scrollResult?.loaded ?? null;
+    try {
+      const [{ result }] = await executeWithSiteAdapter(tab.id, collectCapturedMessageRecords);
+      if (result?.ok) {
+        // The chat may sit in an iframe; the tab's URL is what identifies the capture
+        const capture = buildCaptureInfo({ ...result, url: tab.url, title: tab.title }, siteName, username);
+        const channelKey = chatChannelKey(tab.url, capture.channel);
+        const combined = await recordChannelCapture(channelKey, capture, result.messages);
+        if (captureDelivered(options, saved)) await moveChannelCursor(channelKey, capture, combined);
+        await saveToLibrary({ format: 'mhtml', filename, saved, capture, messages: result.messages, blob });
+        messageCount = result.messages.length;
+        // Structured copies chosen on the options page, from the same scroll
+        if (options.download !== false) {
+          for (const format of (await loadOptions()).extraFormats) {
+            const exporter = EXPORT_FORMATS[format];
+            if (!exporter) continue;
+            const extraName = filename.replace(/\.mhtml$/, '') + '.' + exporter.extension;
+            await downloadText(buildRedactedExport(exporter, capture, result.messages, redaction), exporter.mime, extraName, options);
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('[ChatGrabber] Could not record capture position:', e);
+    }
+    return { ok: true, messageCount, filename, path: saved?.path || null };
   } catch (e) {
     console.error('Chat history capture failed', e);
+    if (e?.message === CAPTURE_CANCELLED) return { ok: false, cancelled: true, error: e.message };
+    if (options.batch) return { ok: false, error: String(e?.message || e) };
+    // The fallback saves the whole buffer, which is not what a date-range or incremental capture asked for
+    if (range || stopAt || options.incremental) return { ok: false, error: String(e?.message || e) };
     
     // Only try fallback if tab is still valid and error isn't about tab being closed
     if (tab && tab.id && !e.message?.includes('Tab was closed') && !e.message?.includes('Frame with ID')) {
@@ -607,100 +896,989 @@ async function captureChatHistory(tab) {
     } else {
       console.warn('[ChatGrabber] Cannot use fallback - tab was closed or navigated away');
     }
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Capture tuning from the options page, with the profile of the site in the tab applied
+async function getCaptureSettings(tabId) {
+  const [options, frame] = await Promise.all([loadOptions(), findChatFrame(tabId).catch(() => null)]);
+  return captureSettingsFor(options, frame?.adapter || 'generic');
+}
+
+async function runChatAutoScroll(tab, stopAt, range, settings) {
+  // Parameters: maxMessages (0 = no limit; a start date bounds the run instead), settleMs (wait for lazy loading),
+  // maxNoNew (15; only used when untilTop is off), untilTop (true), stopAt (newest message of the previous capture for incremental runs, or null),
+  // range ({ from, to } epoch ms for date-range captures, or null), stuck thresholds ({ bumpAfter, giveUpAfter, topChecks })
+  const maxMessages = range?.from != null ? 0 : settings.maxMessages;
+  const stuck = { bumpAfter: settings.bumpAfter, giveUpAfter: settings.giveUpAfter, topChecks: settings.topChecks };
+  let scrollResult;
+  try {
+    const results = await executeWithSiteAdapter(tab.id, autoScrollChatHistory, [maxMessages, settings.settleMs, 15, true, stopAt || null, range || null, stuck]);
+    scrollResult = results && results[0] ? results[0].result : null;
+  } catch (e) {
+    if (e.message && e.message.includes('Frame with ID') && e.message.includes('was removed')) {
+      throw new Error('Tab was closed or navigated away during capture');
+    }
+    throw e;
+  }
+  
+  if (scrollResult?.cancelled) throw new Error(CAPTURE_CANCELLED);
+  if (scrollResult && !scrollResult.ok) {
+    console.warn('[ChatGrabber] Scroll failed, attempting fallback');
+  }
+  
+  // Check tab validity again before continuing
+  try {
+    await chrome.tabs.get(tab.id);
+  } catch (e) {
+    throw new Error('Tab was closed or navigated away during capture');
+  }
+  return scrollResult;
+}
+
+// -------- Capture progress overlay ---------
+// Chat captures show a small panel in the captured tab: phase, messages cached, oldest date
+// reached and elapsed time, with Pause/Resume, "Stop & save" and Cancel. The scroll loop
+// reports through SF_CHATGRABBER_PROGRESS; the buttons come back as SF_CAPTURE_CONTROL and
+// reach the loop through window.__sf_captureControl in the chat frame.
+
+const CAPTURE_CANCELLED = 'Capture cancelled';
+// tabId -> { phase, startedAt, cached, oldest, paused, stop, cancelled, hidden, done, result }
+const CAPTURE_PROGRESS = new Map();
+
+async function withCaptureProgress(tab, run) {
+  if (!tab?.id) return run();
+  const tabId = tab.id;
+  CAPTURE_PROGRESS.set(tabId, { phase: 'scroll', startedAt: Date.now(), cached: 0, oldest: null, paused: false, stop: false, cancelled: false, hidden: false, done: false, result: null });
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, func: captureProgressOverlayInPage });
+  } catch {}
+  await pushCaptureControl(tabId);
+  await updateCaptureProgress(tabId, {});
+  await pauseLiveRecorder(tabId, true);
+  let result;
+  try {
+    result = await run();
+    return result;
+  } finally {
+    await pauseLiveRecorder(tabId, false);
+    await updateCaptureProgress(tabId, { done: true, hidden: false, result: result || { ok: false, error: 'Capture failed' } });
+    CAPTURE_PROGRESS.delete(tabId);
+  }
+}
+
+async function updateCaptureProgress(tabId, changes) {
+  const state = CAPTURE_PROGRESS.get(tabId);
+  if (!state) return;
+  Object.assign(state, changes);
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'SF_CAPTURE_PROGRESS_UPDATE', state }, { frameId: 0 });
+  } catch {}
+}
+
+// Phase boundaries are where a cancel requested after the scroll loop takes effect
+async function enterCapturePhase(tabId, phase, changes) {
+  if (CAPTURE_PROGRESS.get(tabId)?.cancelled) throw new Error(CAPTURE_CANCELLED);
+  await updateCaptureProgress(tabId, { phase, ...changes });
+}
+
+// action: 'pause' | 'resume' | 'stop' | 'cancel'
+async function setCaptureControl(tabId, action) {
+  const state = CAPTURE_PROGRESS.get(tabId);
+  if (!state || state.done) return;
+  if (action === 'pause') state.paused = true;
+  else if (action === 'resume') state.paused = false;
+  else if (action === 'stop') state.stop = true;
+  else if (action === 'cancel') state.cancelled = true;
+  await pushCaptureControl(tabId);
+  await updateCaptureProgress(tabId, {});
+}
+
+// Mirror the tab's pause/stop/cancel flags into the chat frame, where the scroll loop polls them
+async function pushCaptureControl(tabId) {
+  const state = CAPTURE_PROGRESS.get(tabId);
+  if (!state) return;
+  try {
+    const { frameId } = await findChatFrame(tabId);
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: (control) => { window.__sf_captureControl = control; },
+      args: [{ paused: state.paused, stop: state.stop, cancelled: state.cancelled }]
+    });
+  } catch (e) {
+    console.warn('[ChatGrabber] Could not reach the capture loop:', e);
+  }
+}
+
+// Runs in the captured tab's top frame. A closed shadow root keeps page styles out; the host is
+// detached while state.hidden is set so MHTML snapshots don't contain the panel.
+function captureProgressOverlayInPage() {
+  if (window.__sf_progressOverlay) return;
+  const host = document.createElement('div');
+  host.style.cssText = 'all: initial; position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>
+      .panel { font: 12px system-ui, sans-serif; color: #ddd; background: #1b1b1b; border: 1px solid #444; border-radius: 6px; padding: 10px 12px; min-width: 240px; box-shadow: 0 4px 16px rgba(0,0,0,0.5); }
+      .title { font-weight: 700; margin-bottom: 6px; }
+      .line { display: flex; justify-content: space-between; gap: 12px; margin: 2px 0; }
+      .line span:first-child { color: #999; }
+      .buttons { display: flex; gap: 6px; margin-top: 8px; }
+      .buttons[hidden], .result[hidden] { display: none; }
+      button { font: inherit; color: #ddd; background: #2a2a2a; border: 1px solid #555; border-radius: 4px; padding: 2px 8px; cursor: pointer; }
+      button:hover { border-color: #888; }
+      button:disabled { opacity: 0.4; cursor: default; }
+      .result { margin-top: 6px; }
+      .error { color: #f88; }
+    </style>
+    <div class="panel">
+      <div class="title">ChatGrabber capture</div>
+      <div class="line"><span>Phase</span><span data-field="phase"></span></div>
+      <div class="line"><span>Messages cached</span><span data-field="cached"></span></div>
+      <div class="line"><span>Oldest reached</span><span data-field="oldest"></span></div>
+      <div class="line"><span>Elapsed</span><span data-field="elapsed"></span></div>
+      <div class="buttons">
+        <button data-action="pause">Pause</button>
+        <button data-action="stop" title="Stop scrolling and save what has been captured so far">Stop &amp; save</button>
+        <button data-action="cancel" title="Stop and save nothing">Cancel</button>
+      </div>
+      <div class="result" hidden></div>
+    </div>`;
+  const field = (name) => root.querySelector(`[data-field="${name}"]`);
+  const pauseBtn = root.querySelector('[data-action="pause"]');
+  const stopBtn = root.querySelector('[data-action="stop"]');
+  const buttons = root.querySelector('.buttons');
+  const resultEl = root.querySelector('.result');
+  const phases = { scroll: 'Scrolling history', merge: 'Merging messages', images: 'Loading images', save: 'Saving' };
+  let state = null;
+  let removeTimer = null;
+
+  function formatElapsed(ms) {
+    const s = Math.max(0, Math.floor(ms / 1000));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+  }
+  function render() {
+    if (!state) return;
+    let phase = phases[state.phase] || state.phase;
+    if (state.cancelled) phase = 'Cancelling…';
+    else if (state.phase === 'scroll' && state.stop) phase = 'Stopping…';
+    else if (state.phase === 'scroll' && state.paused) phase = 'Paused';
+    field('phase').textContent = phase;
+    field('cached').textContent = String(state.cached || 0);
+    field('oldest').textContent = state.oldest ? new Date(state.oldest).toLocaleString() : '—';
+    if (!state.done) field('elapsed').textContent = formatElapsed(Date.now() - state.startedAt);
+    pauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
+    // Pause and stop only affect the scroll loop
+    pauseBtn.disabled = stopBtn.disabled = state.phase !== 'scroll' || state.stop || state.cancelled;
+  }
+  function finish() {
+    clearInterval(ticker);
+    buttons.hidden = true;
+    const result = state.result || {};
+    resultEl.hidden = false;
+    resultEl.className = result.ok ? 'result' : 'result error';
+    resultEl.textContent = result.ok
+      ? (result.messageCount === 0 ? 'No new messages' : `Saved ${result.messageCount ?? ''} messages`)
+      : result.cancelled ? 'Cancelled' : `Failed: ${result.error || 'unknown error'}`;
+    removeTimer = setTimeout(close, 8000);
+  }
+  function close() {
+    clearInterval(ticker);
+    clearTimeout(removeTimer);
+    host.remove();
+    chrome.runtime.onMessage.removeListener(onMessage);
+    delete window.__sf_progressOverlay;
+  }
+  function onMessage(msg, sender, sendResponse) {
+    if (!msg || msg.type !== 'SF_CAPTURE_PROGRESS_UPDATE') return;
+    state = msg.state;
+    if (state.hidden) host.remove();
+    else if (!host.isConnected) document.documentElement.appendChild(host);
+    render();
+    if (state.done) finish();
+    sendResponse({ ok: true });
+  }
+  buttons.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('button');
+    if (!btn || !state) return;
+    const action = btn.dataset.action === 'pause' && state.paused ? 'resume' : btn.dataset.action;
+    chrome.runtime.sendMessage({ type: 'SF_CAPTURE_CONTROL', action }).catch(() => {});
+  });
+  const ticker = setInterval(render, 1000);
+  chrome.runtime.onMessage.addListener(onMessage);
+  document.documentElement.appendChild(host);
+  window.__sf_progressOverlay = { close };
+}
+
+// Capture steps run in the page's isolated world and find their site adapter there
+async function executeWithSiteAdapter(tabId, func, args) {
+  const { frameId } = await findChatFrame(tabId);
+  return chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, func, args: args || [] });
+}
+
+// Chats can live in nested (even cross-origin) iframes, e.g. Chat Avenue rooms. Load the adapters
+// into every frame and pick the one whose adapter sees a message list; fall back to the top frame.
+async function findChatFrame(tabId) {
+  await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['site-adapters.js'] });
+  const probes = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: probeChatFrame });
+  const found = probes.filter(p => p.result?.hasMessages);
+  const best = found.find(p => !p.result.fallback) || found.find(p => p.frameId === 0) || probes.find(p => p.frameId === 0) || probes[0];
+  return { frameId: best ? best.frameId : 0, adapter: best?.result?.adapter || null, channel: best?.result?.channel || null, ready: !!best?.result?.hasMessages };
+}
+
+function probeChatFrame() {
+  try {
+    const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+    if (!adapter) return null;
+    return { adapter: adapter.id, fallback: !!adapter.fallback, hasMessages: !!adapter.findMessageContainer(), channel: adapter.getChannelInfo() };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Capture chat history and save it as a structured document instead of MHTML
+async function captureChatExport(tab, format, options = {}) {
+  return withCaptureProgress(tab, () => runChatExportCapture(tab, format, options));
+}
+
+async function runChatExportCapture(tab, format, options) {
+  try {
+    if (!tab || !tab.id) {
+      throw new Error('Tab is invalid or has been closed');
+    }
+    const settings = await getCaptureSettings(tab.id);
+    const stopAt = await getIncrementalStart(tab, options.incremental);
+    const range = normalizeCaptureRange(options.range);
+    await runChatAutoScroll(tab, stopAt, range, settings);
+    await enterCapturePhase(tab.id, 'save');
+    const [{ result }] = await executeWithSiteAdapter(tab.id, collectCapturedMessageRecords);
+    if (!result || !result.ok) throw new Error(result?.error || 'No captured messages available');
+    if ((stopAt || range) && !result.messages.length) {
+      console.log(`[ChatGrabber] No ${range ? 'messages in the selected date range' : 'new messages since the last capture of this channel'}`);
+      await setBadge(tab.id, '0', '#555', 8000);
+      return { ok: true, messageCount: 0, filename: null };
+    }
+    const { siteName, username } = await getSiteAndUsername(tab.id);
+    const capture = buildCaptureInfo({ ...result, url: tab.url, title: tab.title }, siteName, username);
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) throw new Error(`Unknown export format: ${format}`);
+    const channelKey = chatChannelKey(tab.url, capture.channel);
+    const combined = await recordChannelCapture(channelKey, capture, result.messages);
+    const { [INCREMENTAL_MERGE_KEY]: mergeIncremental } = await chrome.storage.local.get(INCREMENTAL_MERGE_KEY);
+    const messages = stopAt && mergeIncremental ? combined : result.messages;
+    const filename = await buildCaptureFilename(tab.id, { siteName, username, channel: capture.channel, messageCount: messages.length, format, extension: exporter.extension });
+    const { redaction } = await loadOptions();
+    const saved = options.download !== false ? await downloadText(buildRedactedExport(exporter, capture, messages, redaction), exporter.mime, filename, options) : null;
+    if (captureDelivered(options, saved)) await moveChannelCursor(channelKey, capture, combined);
+    await saveToLibrary({ format, filename, saved, capture, messages });
+    console.log(`[ChatGrabber] Exported ${messages.length} messages as ${format}${stopAt ? ` (${result.messages.length} new)` : ''}`);
+    return { ok: true, messageCount: messages.length, filename, path: saved?.path || null };
+  } catch (e) {
+    console.error('Chat export failed', e);
+    return { ok: false, cancelled: e?.message === CAPTURE_CANCELLED, error: String(e?.message || e) };
+  }
+}
+
+// { from, to } as epoch ms (either may be null), or null when neither bound is set
+function normalizeCaptureRange(range) {
+  const bound = (value) => {
+    if (value == null || value === '') return null;
+    const t = typeof value === 'number' ? value : Date.parse(value);
+    return isNaN(t) ? null : t;
+  };
+  const from = bound(range?.from);
+  const to = bound(range?.to);
+  if (from == null && to == null) return null;
+  if (from != null && to != null && from > to) throw new Error('The start date is after the end date');
+  return { from, to };
+}
+
+// result: { url, title, channel? } as returned by collectCapturedMessageRecords (or built from a tab)
+function buildCaptureInfo(result, siteName, username) {
+  return {
+    sourceUrl: result.url,
+    sourceTitle: result.title,
+    site: siteName,
+    channel: result.channel || { id: null, guildId: null, name: null },
+    username,
+    capturedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version || null
+  };
+}
+
+// Channels are identified by their URL without query or hash (Discord: /channels/<guild>/<channel>)
+function channelKeyFromUrl(url) {
+  try {
+    const u = new URL(url);
+    return (u.origin + u.pathname).replace(/\/+$/, '');
+  } catch {
+    return String(url || '');
+  }
+}
+
+// Conversations that share one URL (Chat Avenue private chats) are told apart by the adapter's channel scope
+function chatChannelKey(url, channel) {
+  const base = channelKeyFromUrl(url);
+  return channel?.scope ? `${base}#${channel.scope}` : base;
+}
+
+// Where an incremental capture should stop, or null for a full capture. `force` overrides the menu setting.
+async function getIncrementalStart(tab, force) {
+  const conf = await chrome.storage.local.get([INCREMENTAL_KEY, CHANNEL_CURSORS_KEY]);
+  if (!(force ?? conf[INCREMENTAL_KEY])) return null;
+  const { channel } = await findChatFrame(tab.id);
+  const cursor = (conf[CHANNEL_CURSORS_KEY] || {})[chatChannelKey(tab.url, channel)];
+  if (!cursor || (!cursor.id && !cursor.timestamp)) return null;
+  return { id: cursor.id || null, timestamp: cursor.timestamp || null };
+}
+
+// Fold the capture into the channel's stored archive; returns the merged list (the cursor moves separately, see moveChannelCursor)
+async function recordChannelCapture(channelKey, capture, messages) {
+  let combined = messages;
+  try {
+    const previous = await getChannelArchive(channelKey);
+    combined = mergeMessageLists(previous?.messages || [], messages);
+    await putChannelArchive({ channelKey, capture, messages: combined, updatedAt: new Date().toISOString() });
+  } catch (e) {
+    console.warn('[ChatGrabber] Could not update channel archive:', e);
+  }
+  return combined;
+}
+
+// The file reached the disk, or none was wanted (library-only scheduled runs). A cancelled save dialog or
+// an interrupted download must leave the cursor alone, or the next incremental run skips those messages.
+function captureDelivered(options, saved) {
+  return options.download === false || saved?.state === 'complete';
+}
+
+// Incremental runs resume after the newest message recorded here
+async function moveChannelCursor(channelKey, capture, combined) {
+  const newest = combined[combined.length - 1];
+  if (!newest) return;
+  const conf = await chrome.storage.local.get(CHANNEL_CURSORS_KEY);
+  const cursors = conf[CHANNEL_CURSORS_KEY] || {};
+  cursors[channelKey] = { id: newest.id || null, timestamp: newest.timestamp || null, capturedAt: capture.capturedAt };
+  await chrome.storage.local.set({ [CHANNEL_CURSORS_KEY]: cursors });
+}
+
+// File a finished capture in the IndexedDB library so it can be reopened, re-exported or deleted later.
+// saved is downloadBlob's result; its path is where the file really landed (null when not downloaded)
+async function saveToLibrary({ format, filename, saved, capture, messages, blob }) {
+  try {
+    return await addCapture({
+      site: capture.site || null,
+      channel: capture.channel?.name || capture.sourceTitle || null,
+      channelKey: capture.sourceUrl ? chatChannelKey(capture.sourceUrl, capture.channel) : null,
+      username: capture.username || null,
+      messageCount: Array.isArray(messages) ? messages.length : null,
+      capturedAt: capture.capturedAt || new Date().toISOString(),
+      filename,
+      savedPath: saved?.path || null,
+      downloadId: saved?.state === 'complete' ? saved.id : null,
+      format,
+      sourceUrl: capture.sourceUrl || null
+    }, { capture, messages, blob });
+  } catch (e) {
+    console.warn('[ChatGrabber] Could not add capture to library:', e);
+    return null;
+  }
+}
+
+async function forgetChannelCapture(channelKey) {
+  const conf = await chrome.storage.local.get(CHANNEL_CURSORS_KEY);
+  const cursors = conf[CHANNEL_CURSORS_KEY] || {};
+  delete cursors[channelKey];
+  await chrome.storage.local.set({ [CHANNEL_CURSORS_KEY]: cursors });
+  try { await deleteChannelArchive(channelKey); } catch {}
+}
+
+// -------- Redaction ---------
+// Structured exports are redacted copies (redactExport in redaction.js); MHTML snapshots are redacted
+// in the page and put back once the snapshot is taken. Library records keep the original messages.
+
+// Pseudonyms for everyone in the tab's chat (buffered and rendered messages), plus the DM partner from the header
+async function capturePseudonyms(tabId, username) {
+  const [{ result }] = await executeWithSiteAdapter(tabId, collectMessagesForPseudonyms);
+  const extra = username && username !== 'username' ? [username] : [];
+  return __sf_redaction.buildPseudonyms(result?.ok ? result.messages : [], extra);
+}
+
+// Plain page saves have no buffer, so the messages on screen count too
+function collectMessagesForPseudonyms() {
+  try {
+    const buffered = Array.isArray(window.__sf_capturedMessagesRecords) ? window.__sf_capturedMessagesRecords.map(rec => rec.message).filter(Boolean) : [];
+    const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+    const rendered = adapter ? adapter.listMessageNodes().map(el => adapter.extractMessage(el)).filter(Boolean) : [];
+    return { ok: true, messages: [...buffered, ...rendered] };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+}
+
+// Fails the capture rather than letting an unredacted snapshot through
+async function redactPageForCapture(tabId, settings, pseudonyms) {
+  await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['redaction.js'] });
+  const results = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: redactPageInPage, args: [settings, pseudonyms] });
+  const failed = results.filter(r => !r.result?.ok);
+  if (failed.length) throw new Error(`Redaction failed in ${failed.length} frame(s)`);
+  console.log(`[ChatGrabber] Redacted ${results.reduce((sum, r) => sum + (r.result.changed || 0), 0)} page elements before the snapshot`);
+}
+
+async function restorePageRedaction(tabId) {
+  try { await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: restoreRedactionInPage }); } catch {}
+}
+
+function redactPageInPage(settings, pseudonyms) {
+  const redaction = globalThis.__sf_redaction;
+  if (!redaction) return { ok: false, error: 'redaction.js not loaded' };
+  return redaction.redactDocument(document, settings, pseudonyms).catch(e => ({ ok: false, error: String(e) }));
+}
+
+function restoreRedactionInPage() {
+  return globalThis.__sf_redaction ? globalThis.__sf_redaction.restoreDocument() : { ok: true, restored: 0 };
+}
+
+// The exporter's document for these messages, redacted when the options ask for it
+function buildRedactedExport(exporter, capture, messages, redaction) {
+  const out = __sf_redaction.redactExport(capture, messages, redaction);
+  return exporter.build(out.capture, out.messages);
+}
+
+// -------- Batch capture ---------
+// Captures a list of channel URLs one after another in a single tab (batch.html drives it and
+// follows the progress through BATCH_STATE_KEY). The tab has to stay visible: background tabs
+// throttle the timers the auto-scroll relies on.
+
+let batchRunning = false;
+let batchCancelRequested = false;
+
+async function saveBatchState(state) {
+  await chrome.storage.local.set({ [BATCH_STATE_KEY]: state });
+}
+
+// A worker restart ends any batch that was in flight; don't leave it looking like it still runs
+chrome.storage.local.get(BATCH_STATE_KEY).then(async ({ [BATCH_STATE_KEY]: state }) => {
+  if (!state?.running || batchRunning) return;
+  for (const item of state.items) {
+    if (item.status === 'pending' || item.status === 'running') {
+      item.status = 'failed';
+      item.error = 'Interrupted';
+    }
+  }
+  await saveBatchState({ ...state, running: false, finishedAt: new Date().toISOString() });
+}).catch(() => {});
+
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => done(new Error('Timed out waiting for the page to load')), timeoutMs);
+    const done = (err) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      if (err) reject(err); else resolve();
+    };
+    const listener = (id, change) => {
+      if (id === tabId && change.status === 'complete') done();
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) done(new Error('Tab was closed or navigated away during capture'));
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+  });
+}
+
+// Navigate the batch tab to `url` and wait until its site adapter sees a message list
+async function openForCapture(tabId, url) {
+  const loaded = waitForTabComplete(tabId, 60000);
+  const tab = await chrome.tabs.update(tabId, { url, active: true });
+  await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+  await loaded;
+  return waitForChatReady(tabId, () => batchCancelRequested);
+}
+
+// Resolves with the tab once a message list shows up (or after 30 s), or null when shouldStop() says so
+async function waitForChatReady(tabId, shouldStop) {
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    if (shouldStop && shouldStop()) return null;
+    try {
+      if ((await findChatFrame(tabId)).ready) break;
+    } catch {}
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  // Let the newest page of messages settle before scrolling away from it
+  await new Promise(r => setTimeout(r, 1500));
+  return chrome.tabs.get(tabId);
+}
+
+// items: [{ url, name? }]; format: 'mhtml' or an EXPORT_FORMATS key; range: optional { from, to } for every channel
+async function runBatchCapture(tabId, items, format, range) {
+  batchRunning = true;
+  batchCancelRequested = false;
+  const state = {
+    running: true,
+    tabId,
+    format,
+    range: range || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelled: false,
+    items: items.map(item => ({ url: item.url, name: item.name || null, status: 'pending', messageCount: null, filename: null, error: null }))
+  };
+  await saveBatchState(state);
+  try {
+    for (const item of state.items) {
+      if (batchCancelRequested) break;
+      item.status = 'running';
+      await saveBatchState(state);
+      let result;
+      try {
+        const tab = await openForCapture(tabId, item.url);
+        if (!tab) break;
+        const options = { saveAs: false, batch: true, range };
+        result = format === 'mhtml'
+          ? await captureChatHistory(tab, options)
+          : await captureChatExport(tab, format, options);
+      } catch (e) {
+        result = { ok: false, error: String(e?.message || e) };
+      }
+      item.status = result.ok ? 'done' : 'failed';
+      item.messageCount = result.messageCount ?? null;
+      item.filename = result.filename || null;
+      item.path = result.path || null;
+      item.error = result.error || null;
+      await saveBatchState(state);
+      // Nothing more to do once the tab is gone
+      if (!result.ok && /Tab was closed|No tab with id/.test(result.error || '')) break;
+    }
+  } finally {
+    for (const item of state.items) {
+      if (item.status === 'pending' || item.status === 'running') item.status = 'skipped';
+    }
+    state.running = false;
+    state.cancelled = batchCancelRequested;
+    state.finishedAt = new Date().toISOString();
+    await saveBatchState(state);
+    batchRunning = false;
+    const failed = state.items.filter(item => item.status === 'failed').length;
+    console.log(`[ChatGrabber] Batch finished: ${state.items.filter(item => item.status === 'done').length}/${state.items.length} captured, ${failed} failed`);
+    try { await setBadge(tabId, failed ? `!${failed}` : 'OK', failed ? '#c80' : '#080', 15000); } catch {}
+  }
+}
+
+// -------- Scheduled captures ---------
+// Each schedule owns a repeating alarm. A run reuses a tab that already shows the channel or
+// opens one, captures incrementally and files the result in the library; its outcome is kept
+// in the schedule's lastRun for schedules.html.
+
+let scheduledRunning = false;
+
+async function getSchedules() {
+  const { [SCHEDULES_KEY]: schedules } = await chrome.storage.local.get(SCHEDULES_KEY);
+  return schedules || [];
+}
+
+async function updateSchedule(id, changes) {
+  const schedules = await getSchedules();
+  const schedule = schedules.find(s => s.id === id);
+  if (!schedule) return null;
+  Object.assign(schedule, changes);
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+  return schedule;
+}
+
+async function scheduleAlarm(schedule) {
+  const name = SCHEDULE_ALARM_PREFIX + schedule.id;
+  await chrome.alarms.clear(name);
+  if (!schedule.enabled) return null;
+  const periodInMinutes = schedule.everyHours * 60;
+  // Keep the existing rhythm when the next run is still ahead, otherwise start a new period now
+  const when = schedule.nextRunAt && schedule.nextRunAt > Date.now() ? schedule.nextRunAt : Date.now() + periodInMinutes * 60000;
+  await chrome.alarms.create(name, { when, periodInMinutes });
+  return when;
+}
+
+// Alarms can be dropped on browser restarts and extension updates; recreate any that are missing
+async function syncScheduleAlarms() {
+  const schedules = await getSchedules();
+  const alarms = await chrome.alarms.getAll();
+  const existing = new Set(alarms.map(a => a.name));
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !schedules.some(s => SCHEDULE_ALARM_PREFIX + s.id === alarm.name && s.enabled)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  for (const schedule of schedules) {
+    if (schedule.enabled && !existing.has(SCHEDULE_ALARM_PREFIX + schedule.id)) {
+      await updateSchedule(schedule.id, { nextRunAt: await scheduleAlarm(schedule) });
+    }
+  }
+}
+
+// schedule: { id?, url, name, format, everyHours, saveFile, enabled }
+async function saveSchedule(input) {
+  const everyHours = Number(input.everyHours);
+  // Same lower bound as the form's min="1"
+  if (!(everyHours >= 1)) throw new Error('The interval must be at least 1 hour');
+  if (input.format !== 'mhtml' && !EXPORT_FORMATS[input.format]) throw new Error(`Unknown export format: ${input.format}`);
+  const url = new URL(input.url).href;
+  const schedules = await getSchedules();
+  let schedule = input.id ? schedules.find(s => s.id === input.id) : null;
+  if (!schedule) {
+    schedule = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), lastRun: null, nextRunAt: null };
+    schedules.push(schedule);
+  } else if (schedule.everyHours !== everyHours || !input.enabled) {
+    schedule.nextRunAt = null;
+  }
+  Object.assign(schedule, { url, name: input.name || null, format: input.format, everyHours, saveFile: !!input.saveFile, enabled: input.enabled !== false });
+  schedule.nextRunAt = await scheduleAlarm(schedule);
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+  return schedule;
+}
+
+async function deleteSchedule(id) {
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + id);
+  const schedules = (await getSchedules()).filter(s => s.id !== id);
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+}
+
+// Bring up a tab showing the schedule's channel: an open one if there is one, a new one otherwise
+async function openScheduledTab(url) {
+  const key = channelKeyFromUrl(url);
+  const [existing] = (await chrome.tabs.query({})).filter(t => t.url && channelKeyFromUrl(t.url) === key);
+  let tabId;
+  if (existing) {
+    tabId = existing.id;
+    await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true }).catch(() => {});
+  } else {
+    const created = await chrome.tabs.create({ url, active: true });
+    tabId = created.id;
+    await chrome.windows.update(created.windowId, { focused: true }).catch(() => {});
+    await waitForTabComplete(tabId, 60000);
+  }
+  return waitForChatReady(tabId);
+}
+
+async function runScheduledCapture(id) {
+  const schedule = (await getSchedules()).find(s => s.id === id);
+  if (!schedule) return;
+  const startedAt = new Date().toISOString();
+  const alarm = await chrome.alarms.get(SCHEDULE_ALARM_PREFIX + id);
+  const nextRunAt = alarm ? alarm.scheduledTime : null;
+  if (scheduledRunning || batchRunning) {
+    await updateSchedule(id, { nextRunAt, lastRun: { startedAt, finishedAt: startedAt, status: 'skipped', messageCount: null, filename: null, error: 'Another capture was running' } });
+    return;
+  }
+  scheduledRunning = true;
+  await updateSchedule(id, { nextRunAt, lastRun: { startedAt, finishedAt: null, status: 'running', messageCount: null, filename: null, error: null } });
+  let result;
+  try {
+    const tab = await openScheduledTab(schedule.url);
+    const options = { saveAs: false, batch: true, incremental: true, download: !!schedule.saveFile };
+    result = schedule.format === 'mhtml'
+      ? await captureChatHistory(tab, options)
+      : await captureChatExport(tab, schedule.format, options);
+  } catch (e) {
+    result = { ok: false, error: String(e?.message || e) };
+  } finally {
+    scheduledRunning = false;
+  }
+  await updateSchedule(id, {
+    lastRun: {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: result.ok ? 'ok' : 'failed',
+      messageCount: result.messageCount ?? null,
+      filename: result.filename || null,
+      path: result.path || null,
+      error: result.error || null
+    }
+  });
+  console.log(`[ChatGrabber] Scheduled capture of ${schedule.url}: ${result.ok ? `${result.messageCount ?? '?'} new messages` : result.error}`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  runScheduledCapture(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length)).catch(e => console.error('[ChatGrabber] Scheduled capture failed', e));
+});
+
+// -------- Live recording ---------
+// While recording, an observer in the chat frame sends every new or changed message
+// (SF_LIVE_MESSAGES) and the worker appends it to the recording in IndexedDB. Which tabs
+// record is kept in LIVE_RECORDINGS_KEY, so the observer is re-attached after reloads
+// and the recording outlives worker restarts.
+
+async function getLiveRecordings() {
+  const { [LIVE_RECORDINGS_KEY]: recordings } = await chrome.storage.local.get(LIVE_RECORDINGS_KEY);
+  return recordings || {};
+}
+
+async function startLiveRecording(tab) {
+  try {
+    const { channel } = await findChatFrame(tab.id);
+    const { siteName, username } = await getSiteAndUsername(tab.id);
+    const capture = buildCaptureInfo({ url: tab.url, title: tab.title, channel }, siteName, username);
+    const channelKey = chatChannelKey(tab.url, channel);
+    const recordingId = await createRecording({
+      site: siteName || null,
+      channel: channel?.name || tab.title || null,
+      channelKey,
+      username: username || null,
+      sourceUrl: tab.url,
+      capture,
+      startedAt: new Date().toISOString()
+    });
+    const recordings = await getLiveRecordings();
+    recordings[tab.id] = { recordingId, channelKey };
+    await chrome.storage.local.set({ [LIVE_RECORDINGS_KEY]: recordings });
+    await attachLiveRecorder(tab.id, recordingId);
+    console.log(`[ChatGrabber] Live recording ${recordingId} started for ${channelKey}`);
+  } catch (e) {
+    console.error('[ChatGrabber] Could not start live recording', e);
+    await setBadge(tab.id, 'ERR', '#b00', 8000);
+  }
+  await refreshLiveRecordingMenu(tab.id);
+}
+
+async function stopLiveRecording(tabId) {
+  const recordings = await getLiveRecordings();
+  const active = recordings[tabId];
+  if (!active) return;
+  delete recordings[tabId];
+  await chrome.storage.local.set({ [LIVE_RECORDINGS_KEY]: recordings });
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: stopLiveRecorderInPage });
+  } catch {}
+  try { await updateRecording(active.recordingId, { stoppedAt: new Date().toISOString() }); } catch {}
+  console.log(`[ChatGrabber] Live recording ${active.recordingId} stopped`);
+  await setBadge(tabId, '');
+  await refreshLiveRecordingMenu(tabId);
+}
+
+// Captures scroll, merge and redact the page the recorder is watching; none of that is live traffic
+async function pauseLiveRecorder(tabId, paused) {
+  if (!(await getLiveRecordings())[tabId]) return;
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: pauseLiveRecorderInPage, args: [paused] });
+  } catch {}
+}
+
+async function attachLiveRecorder(tabId, recordingId) {
+  await executeWithSiteAdapter(tabId, liveRecorderInPage, [recordingId]);
+  await setBadge(tabId, 'REC', '#b00');
+}
+
+// The menu checkbox is global; keep it in sync with the tab in front
+async function refreshLiveRecordingMenu(tabId) {
+  const recordings = await getLiveRecordings();
+  try { await chrome.contextMenus.update('sf-live-recording', { checked: !!recordings[tabId] }); } catch {}
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  refreshLiveRecordingMenu(tabId);
+});
+
+// A reload (or a navigation back to the channel) drops the page observer; put it back once the chat is there
+chrome.tabs.onUpdated.addListener(async (tabId, change) => {
+  if (change.status !== 'complete') return;
+  const active = (await getLiveRecordings())[tabId];
+  if (!active) return;
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    try {
+      const frame = await findChatFrame(tabId);
+      const tab = await chrome.tabs.get(tabId);
+      if (frame.ready && chatChannelKey(tab.url, frame.channel) === active.channelKey) {
+        await attachLiveRecorder(tabId, active.recordingId);
+        return;
+      }
+    } catch {}
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  // Another channel is open; the recording resumes if the tab comes back to this one
+  await setBadge(tabId, 'REC?', '#c80');
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if ((await getLiveRecordings())[tabId]) await stopLiveRecording(tabId);
+});
+
+async function recordLiveMessages(tab, message) {
+  const active = (await getLiveRecordings())[tab.id];
+  if (!active || active.recordingId !== message.recordingId) return { ok: false, stopped: true, error: 'Not recording' };
+  // Discord switches channels without reloading; messages from another channel are not part of this recording
+  if (chatChannelKey(tab.url, message.channel) !== active.channelKey) return { ok: true, ignored: true };
+  return { ok: true, ...await appendRecordedMessages(active.recordingId, message.messages, new Date().toISOString()) };
+}
+
+// Runs in the chat frame. Observes the whole document because sites replace the
+// message list when switching channels, and reports messages whose id is new or
+// whose content changed since the recorder last saw them. A capture in the same tab
+// pauses it (pauseLiveRecorder): history the capture scrolls in or merges back is not
+// new, so unseen messages sent before the last pause are taken as already seen.
+function liveRecorderInPage(recordingId) {
+  const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+  if (!adapter) return { ok: false, error: 'Site adapters not loaded' };
+  const existing = window.__sf_liveRecorder;
+  if (existing) {
+    if (existing.recordingId === recordingId) return { ok: true };
+    existing.stop();
+  }
+  // Same fields as messageFingerprint in export-formats.js
+  const fingerprint = (m) => JSON.stringify([
+    m.content || '',
+    m.editedTimestamp || null,
+    (m.attachments || []).map(a => a.url).sort(),
+    (m.embeds || []).map(e => e.url || e.title || '').sort()
+  ]);
+  const seen = new Map();
+  let timer = null;
+  let paused = false;
+  let historyBefore = 0;
+  function flush() {
+    timer = null;
+    if (paused) return;
+    const changed = [];
+    for (const el of adapter.listMessageNodes()) {
+      try {
+        if (adapter.isPlaceholder(el)) continue;
+        const msg = adapter.extractMessage(el);
+        if (!msg || !msg.id) continue;
+        const fp = fingerprint(msg);
+        if (seen.get(msg.id) === fp) continue;
+        const isHistory = !seen.has(msg.id) && Date.parse(msg.timestamp) < historyBefore;
+        seen.set(msg.id, fp);
+        if (!isHistory) changed.push(msg);
+      } catch {}
+    }
+    if (!changed.length) return;
+    // Unsaved messages are forgotten so the next mutation sends them again
+    const retry = () => changed.forEach(m => seen.delete(m.id));
+    chrome.runtime.sendMessage({ type: 'SF_LIVE_MESSAGES', recordingId, url: location.href, channel: adapter.getChannelInfo(), messages: changed })
+      .then((res) => {
+        if (res && res.stopped) recorder.stop();
+        else if (!res || !res.ok) retry();
+      })
+      .catch(retry);
+  }
+  const observer = new MutationObserver(() => {
+    if (!timer && !paused) timer = setTimeout(flush, 400);
+  });
+  const recorder = {
+    recordingId,
+    setPaused(on) {
+      if (on) {
+        // Send what is pending first so it doesn't count as history
+        if (timer) { clearTimeout(timer); flush(); }
+        paused = true;
+        historyBefore = Date.now();
+      } else if (paused) {
+        paused = false;
+        flush();
+      }
+    },
+    stop() {
+      observer.disconnect();
+      clearTimeout(timer);
+      if (window.__sf_liveRecorder === recorder) delete window.__sf_liveRecorder;
+    }
+  };
+  window.__sf_liveRecorder = recorder;
+  observer.observe(document.documentElement, { subtree: true, childList: true, characterData: true });
+  // What is on screen when recording starts is part of the record too
+  flush();
+  return { ok: true };
+}
+
+function stopLiveRecorderInPage() {
+  if (window.__sf_liveRecorder) window.__sf_liveRecorder.stop();
+}
+
+function pauseLiveRecorderInPage(paused) {
+  if (window.__sf_liveRecorder) window.__sf_liveRecorder.setPaused(paused);
+}
+
+function listConversationsInPage() {
+  try {
+    const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+    return adapter ? adapter.listConversations() : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function collectCapturedMessageRecords() {
+  try {
+    const records = Array.isArray(window.__sf_capturedMessagesRecords) ? window.__sf_capturedMessagesRecords : [];
+    // Same chronological order mergeBufferedMessagesIntoPage uses: order is an epoch timestamp, seq breaks ties
+    const year2000 = Date.parse('2000-01-01');
+    const timeOf = (rec) => {
+      const n = Number(rec.order);
+      return n > year2000 ? n : rec.seq * 1000;
+    };
+    const sorted = records.slice().sort((a, b) => (timeOf(a) - timeOf(b)) || (a.seq - b.seq));
+    const messages = sorted.map(rec => rec.message).filter(Boolean);
+    const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+    return {
+      ok: true,
+      messages,
+      url: location.href,
+      title: document.title,
+      channel: adapter ? adapter.getChannelInfo() : { id: null, guildId: null, name: document.title || null }
+    };
+  } catch (e) {
+    return { ok: false, error: String(e) };
   }
 }
 
-function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
+function autoScrollChatHistory(maxMessages, settleMs, maxNoNew, untilTop, stopAt, range, stuck) {
   function wait(ms) { return new Promise(r => setTimeout(r, ms)); }
-  function isScrollable(el) {
-    if (!el) return false; const cs = getComputedStyle(el); const canY = /(auto|scroll)/.test(cs.overflowY); return canY && el.scrollHeight > el.clientHeight;
-  }
-  function findScrollableAncestor(el) {
-    let n = el; while (n && n !== document.documentElement) { if (isScrollable(n)) return n; n = n.parentElement; } return null;
-  }
-  function findScroller() {
-    const cands = [
-      document.querySelector('.messagesWrapper__36d07 .scroller__36d07'),
-      document.querySelector('div[class*="messagesWrapper"] div[class*="scroller"]'),
-      document.querySelector('[data-list-id="chat-messages"]'),
-      document.querySelector('[role="log"]'),
-      document.querySelector('main div[class*="scroller"]')
-    ].filter(Boolean);
-    for (const el of cands) { const s = isScrollable(el) ? el : findScrollableAncestor(el); if (s) return s; }
-    if (isScrollable(document.scrollingElement)) return document.scrollingElement;
-    return document.documentElement;
-  }
-  function countMessages() {
-    const list = document.querySelector('[data-list-id="chat-messages"]');
-    if (list) return list.querySelectorAll('li').length;
-    const log = document.querySelector('[role="log"]');
-    if (log) return log.querySelectorAll('[id^="chat-messages-"], [data-list-item-id^="chat-messages"], article').length;
-    return document.querySelectorAll('article, [data-list-item-id^="chat-messages"]').length;
-  }
-  function selectVisible() {
-    const nodes = [];
-    const list = document.querySelector('ol[data-list-id="chat-messages"]'); if (list) nodes.push(...list.querySelectorAll(':scope > li'));
-    const log = document.querySelector('[role="log"]'); if (log) nodes.push(...log.querySelectorAll('[id^="chat-messages-"], [data-list-item-id^="chat-messages"], article'));
-    if (!list && !log) nodes.push(...document.querySelectorAll('article, [data-list-item-id^="chat-messages"]'));
-    return Array.from(new Set(nodes));
-  }
-  function getKey(el, idx) {
-    return el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id') || el.getAttribute('aria-labelledby') || `sf-key-${idx}-${(el.textContent||'').slice(0,40)}`;
-  }
-  function getOrderFromEl(el, idx) {
-    try {
-      // Priority 1: Extract timestamp from time element (most accurate)
-      const t = el.querySelector('time[datetime]');
-      if (t && t.getAttribute('datetime')) {
-        const timestamp = Date.parse(t.getAttribute('datetime'));
-        if (!isNaN(timestamp) && timestamp > 0) {
-          return BigInt(timestamp);
-        }
-      }
-      
-      // Priority 2: Extract timestamp from Discord message ID (snowflake format)
-      const idAttr = el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id');
-      if (idAttr) {
-        // Discord message IDs are 17-19 digits and contain timestamp
-        const m = String(idAttr).match(/(\d{17,})/);
-        if (m) {
-          const msgId = BigInt(m[1]);
-          // Discord snowflake: (id >> 22) + 1420070400000
-          const timestamp = (msgId >> 22n) + 1420070400000n;
-          if (timestamp > 0n && timestamp < BigInt(Date.now() + 86400000)) {
-            return timestamp;
-          }
-        }
-        // Fallback: use the ID number directly if it's a reasonable timestamp
-        const m2 = String(idAttr).match(/(\d{6,})/);
-        if (m2) {
-          const idNum = BigInt(m2[1]);
-          // If it looks like a timestamp (after year 2000), use it
-          if (idNum > 946684800000n) { // 2000-01-01
-            return idNum;
-          }
-        }
-      }
-    } catch {}
-    // Fallback: use sequence number with large offset to ensure it's at the end
-    return BigInt(Date.now() + idx); // fallback using current time + index
-  }
-  function isPlaceholder(el) {
-    const role = el.getAttribute('role');
-    if (role === 'progressbar') return true;
-    if (el.getAttribute('aria-busy') === 'true') return true;
-    const cls = el.className || '';
-    if (/skeleton|placeholder|spinner|loading/i.test(cls)) return true;
-    // Check for empty or minimal content
-    const textContent = (el.textContent || '').trim();
-    if (!textContent && !el.querySelector('img, video, iframe, embed')) return true;
-    // Check for Discord skeleton patterns
-    const hasContent = !!el.querySelector('img, video, time, a, span, p, article, div[class*="message"], div[class*="content"]');
-    if (!hasContent && textContent === '') return true;
-    // Check for specific Discord loading indicators
-    if (el.querySelector('[class*="skeleton"], [class*="loading"], [class*="spinner"]')) return true;
-    return false;
+  // How many unproductive scrolls before nudging / giving up, and how often to confirm the start of history
+  const bumpAfter = (stuck && stuck.bumpAfter) || 2;
+  const giveUpAfter = (stuck && stuck.giveUpAfter) || 5;
+  const topChecks = (stuck && stuck.topChecks) || 2;
+  // Everything site-specific comes from the adapter injected by executeWithSiteAdapter (site-adapters.js)
+  const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+  if (!adapter) return Promise.resolve({ ok: false, error: 'Site adapters not loaded' });
+  const findScroller = () => adapter.findScroller();
+  const countMessages = () => adapter.countMessages();
+  const selectVisible = () => adapter.listMessageNodes();
+  const getKey = (el, idx) => adapter.getKey(el, idx);
+  const getOrderFromEl = (el, idx) => adapter.getOrder(el, idx);
+  // Incremental captures stop at the newest message archived by the previous run ({ id, timestamp })
+  // Only numeric ids (Discord snowflakes, CodyChat log ids) are ordered; other sites' ids go by time
+  const numericId = /^\d+$/;
+  const stopTime = stopAt && stopAt.timestamp ? Date.parse(stopAt.timestamp) : NaN;
+  function isAtOrBeforeStop(messageId, order) {
+    if (messageId && stopAt.id) {
+      if (numericId.test(String(messageId)) && numericId.test(String(stopAt.id))) return BigInt(messageId) <= BigInt(stopAt.id);
+      if (String(messageId) === String(stopAt.id)) return true;
+    }
+    if (isNaN(stopTime) || order == null) return false;
+    return Number(order) <= stopTime;
+  }
+  // Date-range captures ({ from, to } in epoch ms, either may be null) stop once messages older than `from` show up
+  const year2000 = Date.parse('2000-01-01');
+  function messageTime(message, order) {
+    const fromRecord = message && message.timestamp ? Date.parse(message.timestamp) : NaN;
+    if (!isNaN(fromRecord)) return fromRecord;
+    const n = Number(order);
+    return n > year2000 ? n : null;
   }
+  function isInRange(message, order) {
+    if (!range) return true;
+    const t = messageTime(message, order);
+    // Messages without a usable time are kept rather than guessed at
+    if (t == null) return true;
+    return (range.from == null || t >= range.from) && (range.to == null || t <= range.to);
+  }
+  const messageIdFromEl = (el) => adapter.getMessageId(el);
+  const extractMessageRecord = (el) => adapter.extractMessage(el);
+  const isPlaceholder = (el) => adapter.isPlaceholder(el);
   function scrollToBottom(scroller) {
     try { scroller.scrollTop = scroller.scrollHeight; } catch {}
   }
@@ -727,12 +1905,12 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
       tick();
     });
   }
-  // Intercept console.log to detect Discord batch loading
+  // Intercept console.log to detect the site's batch loading
   let batchLoadDetected = false;
   const originalConsoleLog = console.log;
   const consoleInterceptor = function(...args) {
     const message = args.join(' ');
-    if (message.includes('Fetched 50 messages') || message.includes('isBefore:true')) {
+    if (adapter.isBatchLoadLog(message)) {
       batchLoadDetected = true;
     }
     originalConsoleLog.apply(console, args);
@@ -741,16 +1919,16 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
   
   return (async () => {
     try {
-      // Initialize persistent cache if it doesn't exist
-      if (!window.__sf_capturedMessagesRecords) {
-        window.__sf_capturedMessagesRecords = [];
-      }
-      if (!window.__sf_capturedMessagesCache) {
-        window.__sf_capturedMessagesCache = new Map();
-      }
+      // Every capture starts from an empty buffer: a reused tab (scheduled runs) may have switched
+      // channels in place since the last one, and its messages must not be filed under this channel
+      window.__sf_capturedMessagesRecords = [];
+      window.__sf_capturedMessages = [];
+      window.__sf_capturedMessagesCache = new Map();
       
       let noNew = 0; 
       let noScrollChange = 0;
+      let reachedStop = false;
+      let reachedRangeStart = false;
       const scroller = findScroller(); 
       if (!scroller) {
         return { ok:false };
@@ -762,8 +1940,8 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
       
       let lastCount = countMessages(); 
       let lastScrollTop = scroller.scrollTop;
-      const captured = window.__sf_capturedMessagesCache; // Use persistent cache
-      let seq = captured.size; // Continue sequence from existing cache
+      const captured = window.__sf_capturedMessagesCache;
+      let seq = 0;
       
     function harvest() {
         try {
@@ -783,6 +1961,13 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
               
               const key = getKey(el, idx); 
               const order = getOrderFromEl(el, idx);
+              if (stopAt && !isPlaceholder(el) && isAtOrBeforeStop(messageIdFromEl(el), order)) {
+                reachedStop = true;
+              }
+              if (range && range.from != null && !isPlaceholder(el)) {
+                const t = messageTime(null, order);
+                if (t != null && t < range.from) reachedRangeStart = true;
+              }
               
               // Track the topmost visible message (for scrolling)
               if (!isPlaceholder(el) && (!topmostVisibleOrder || order < topmostVisibleOrder)) {
@@ -1008,15 +2193,8 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
                                        (origImg.currentSrc && origImg.currentSrc !== 'about:blank' && !origImg.currentSrc.startsWith('data:') ? origImg.currentSrc : null) ||
                                        (origImg.src && origImg.src !== 'about:blank' && !origImg.src.startsWith('data:') ? origImg.src : null);
                             
-                            // Special handling for Discord's visual media items
-                            // Check for originalLink anchor tag (contains the original CDN URL)
-                            if (!imgUrl || imgUrl.includes('media.discordapp.net')) {
-                              const originalLink = originalContainer.querySelector('a[class*="originalLink"], a[href*="cdn.discordapp.com"], a[href*="attachments"]');
-                              if (originalLink && originalLink.href) {
-                                // Prefer the original CDN URL over the media.discordapp.net URL
-                                imgUrl = originalLink.href;
-                              }
-                            }
+                            // Prefer the site's original-resolution URL over a preview
+                            imgUrl = adapter.resolveImageUrl(origImg, imgUrl);
                             
                             // Also check for data-safe-src attribute on anchor tags
                             if (!imgUrl) {
@@ -1107,7 +2285,7 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
                 console.warn('[ChatGrabber] Error processing media:', mediaErr);
               }
               
-        captured.set(key, { html: clone.outerHTML, seq: seq++, order: order.toString(), key });
+        captured.set(key, { html: clone.outerHTML, seq: seq++, order: order.toString(), key, message: extractMessageRecord(el) });
               newMessages++;
               
               // Track the topmost (oldest) newly captured message
@@ -1121,7 +2299,7 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
             }
           });
           
-          // Update persistent cache immediately
+          // Update the buffer immediately
           window.__sf_capturedMessagesRecords = Array.from(captured.values());
           window.__sf_capturedMessages = window.__sf_capturedMessagesRecords.map(v=>v.html);
           
@@ -1137,64 +2315,8 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
       }
       
       function isAtTopOfChat() {
-        // Check if we can see the "This is the beginning of your direct message history with" text
         try {
-          // First check the message container specifically
-          const list = document.querySelector('ol[data-list-id="chat-messages"]');
-          const log = document.querySelector('[role="log"]');
-          const container = list || log;
-          
-          if (container) {
-            // Check first few children of message container
-            const children = Array.from(container.children).slice(0, 3);
-            for (const child of children) {
-              const text = (child.textContent || '').toLowerCase();
-              if (text.includes('this is the beginning of your direct message history with') ||
-                  text.includes('beginning of your direct message history') ||
-                  text.includes('beginning of your direct message')) {
-                console.log('[ChatGrabber] Found "beginning" text in message container - at top');
-                return true;
-              }
-            }
-            
-            // Check all text in container
-            const containerText = (container.textContent || '').toLowerCase();
-            if (containerText.includes('this is the beginning of your direct message history with') ||
-                containerText.includes('beginning of your direct message history')) {
-              console.log('[ChatGrabber] Found "beginning" text in container - at top');
-              return true;
-            }
-          }
-          
-          // Check visible elements in viewport
-          const visibleElements = Array.from(document.querySelectorAll('*')).filter(el => {
-            try {
-              const rect = el.getBoundingClientRect();
-              return rect.top >= 0 && rect.top < window.innerHeight && 
-                     rect.left >= 0 && rect.left < window.innerWidth &&
-                     rect.width > 0 && rect.height > 0;
-            } catch {
-              return false;
-            }
-          });
-          
-          for (const el of visibleElements) {
-            const text = (el.textContent || '').toLowerCase();
-            if (text.includes('this is the beginning of your direct message history with') ||
-                text.includes('beginning of your direct message history') ||
-                (text.includes('beginning') && text.includes('direct message'))) {
-              console.log('[ChatGrabber] Found "beginning" text in visible element - at top');
-              return true;
-            }
-          }
-          
-          // Check document body as fallback
-          const allText = (document.body.textContent || document.body.innerText || '').toLowerCase();
-          if (allText.includes('this is the beginning of your direct message history with') ||
-              allText.includes('beginning of your direct message history')) {
-            console.log('[ChatGrabber] Found "beginning" text in body - at top');
-            return true;
-          }
+          return adapter.isAtStartOfHistory();
         } catch (e) {
           console.warn('[ChatGrabber] Error checking if at top:', e);
         }
@@ -1281,122 +2403,7 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
           scroller.scrollTop = 0;
           await wait(800);
           
-          // Look for profile header with multiple strategies
-          let profileElement = null;
-          
-          // Strategy 1: Check message container first (most reliable)
-          const list = document.querySelector('ol[data-list-id="chat-messages"]');
-          const log = document.querySelector('[role="log"]');
-          const container = list || log;
-          
-          if (container) {
-            // Check first few children of message container
-            const children = Array.from(container.children);
-            for (const child of children.slice(0, 5)) {
-              const text = (child.textContent || '').toLowerCase();
-              if (text.includes('this is the beginning of your direct message history with') ||
-                  text.includes('beginning of your direct message history') ||
-                  text.includes('beginning of your direct message') ||
-                  text.includes('this is the beginning')) {
-                profileElement = child;
-                console.log('[ChatGrabber] Found profile header in message container (first child)');
-                break;
-              }
-              
-              // Also check if it has avatar or profile indicators
-              if (child.querySelector('img[class*="avatar"], img[alt*="avatar"], img[class*="Avatar"]') ||
-                  child.querySelector('[class*="profile"], [class*="empty"], [class*="emptyState"]')) {
-                const childText = (child.textContent || '').toLowerCase();
-                if (childText.includes('beginning') || childText.includes('mutual') || childText.includes('server')) {
-                  profileElement = child;
-                  console.log('[ChatGrabber] Found profile header in message container (has avatar/profile)');
-                  break;
-                }
-              }
-            }
-          }
-          
-          // Strategy 2: Look for text content "beginning of your direct message" in all elements
-          if (!profileElement) {
-            const allElements = document.querySelectorAll('*');
-            for (const el of allElements) {
-              const text = (el.textContent || '').toLowerCase();
-              if (text.includes('this is the beginning of your direct message history with') ||
-                  text.includes('beginning of your direct message history')) {
-                // Find the parent container that likely contains the full profile area
-                let parent = el.parentElement;
-                let candidate = el;
-                for (let i = 0; i < 8 && parent; i++) {
-                  if (parent.querySelector('img[class*="avatar"], img[alt*="avatar"], img[class*="Avatar"]') ||
-                      parent.querySelector('[class*="profile"], [class*="emptyState"], [class*="empty"]')) {
-                    candidate = parent;
-                    break;
-                  }
-                  parent = parent.parentElement;
-                }
-                profileElement = candidate;
-                console.log('[ChatGrabber] Found profile header via text search');
-                break;
-              }
-            }
-          }
-          
-          // Strategy 3: Look for empty state containers
-          if (!profileElement) {
-            const emptySelectors = [
-              '[class*="emptyState"]',
-              '[class*="emptyChannel"]',
-              '[class*="emptyStateWrapper"]',
-              '[class*="emptyChannelIcon"]',
-              'div[class*="empty"]',
-              'section[class*="empty"]'
-            ];
-            
-            for (const selector of emptySelectors) {
-              const elements = document.querySelectorAll(selector);
-              for (const el of elements) {
-                const text = (el.textContent || '').toLowerCase();
-                if (text.includes('beginning') || 
-                    text.includes('direct message') ||
-                    el.querySelector('img[class*="avatar"], img[alt*="avatar"], img[class*="Avatar"]')) {
-                  profileElement = el;
-                  console.log('[ChatGrabber] Found profile header via empty state selector');
-                  break;
-                }
-              }
-              if (profileElement) break;
-            }
-          }
-          
-          // Strategy 4: Look for large avatar/profile images at the top
-          if (!profileElement) {
-            const largeAvatars = Array.from(document.querySelectorAll('img[class*="avatar"], img[alt*="avatar"], img[class*="Avatar"]'))
-              .filter(img => {
-                try {
-                  const rect = img.getBoundingClientRect();
-                  return rect.width > 80 && rect.height > 80; // Large avatar
-                } catch {
-                  return false;
-                }
-              });
-            
-            if (largeAvatars.length > 0) {
-              const largeAvatar = largeAvatars[0];
-              let parent = largeAvatar.parentElement;
-              for (let i = 0; i < 15 && parent; i++) {
-                const text = (parent.textContent || '').toLowerCase();
-                if (text.includes('beginning') || 
-                    text.includes('direct message') || 
-                    text.includes('mutual') ||
-                    text.includes('server')) {
-                  profileElement = parent;
-                  console.log('[ChatGrabber] Found profile header via large avatar');
-                  break;
-                }
-                parent = parent.parentElement;
-              }
-            }
-          }
+          const profileElement = adapter.findHeader();
           
           if (profileElement) {
             const clone = profileElement.cloneNode(true);
@@ -1436,8 +2443,9 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
         }
       }
       
-      // Capture profile header before starting
-      await captureProfileHeader();
+      // Capture profile header before starting (incremental and date-range runs never reach the top, so skip it)
+      const stopsEarly = !!stopAt || !!(range && range.from != null);
+      if (!stopsEarly) await captureProfileHeader();
       
       // Initial harvest
       const initialHarvest = harvest();
@@ -1449,8 +2457,15 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
       // Main loop: scroll to last captured message to trigger next batch
       const maxMsgLimit = maxMessages && maxMessages > 0 ? maxMessages : Infinity;
       let iterations = 0;
+      // Pause / stop / cancel from the progress overlay (pushCaptureControl in the worker writes this)
+      const control = () => window.__sf_captureControl || {};
       
-      while (captured.size < maxMsgLimit) {
+      while (captured.size < maxMsgLimit && !reachedStop && !reachedRangeStart) {
+        while (control().paused && !control().stop && !control().cancelled) await wait(250);
+        if (control().stop || control().cancelled) {
+          console.log(`[ChatGrabber] ${control().cancelled ? 'Cancelled' : 'Stopped'} by the user. Captured ${captured.size} messages.`);
+          break;
+        }
         iterations++;
         batchLoadDetected = false;
         
@@ -1509,10 +2524,19 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
           topmostMessage = harvestResult.topmostNewMessage;
         }
         
+        if (reachedStop) {
+          console.log(`[ChatGrabber] Reached the last archived message, stopping. Captured ${captured.size} messages.`);
+          break;
+        }
+        if (reachedRangeStart) {
+          console.log(`[ChatGrabber] Reached messages older than the start date, stopping. Captured ${captured.size} messages.`);
+          break;
+        }
+        
         // Check if cached message count stayed the same (stuck)
         if (captured.size === prevCachedCount && !isAtTop) {
           noChangeCount++;
-          if (noChangeCount >= 2) {
+          if (noChangeCount >= bumpAfter) {
             // Give it a "bump" - do a normal scroll up
             console.log(`[ChatGrabber] Message count unchanged (${captured.size}), giving a scroll bump`);
             try {
@@ -1527,11 +2551,11 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
                 if (bumpHarvest.topmostNewMessage) {
                   topmostMessage = bumpHarvest.topmostNewMessage;
                 }
-              } else if (noChangeCount >= 5) {
-                // If we've tried 5 times with no change, check if we're at the top
+              } else if (noChangeCount >= giveUpAfter) {
+                // If we've tried giveUpAfter times with no change, check if we're at the top
                 const atTopText = isAtTopOfChat();
                 if (atTopText) {
-                  console.log(`[ChatGrabber] Found "beginning of direct message" text - we're at the top. Captured ${captured.size} messages.`);
+                  console.log(`[ChatGrabber] Reached the start of the conversation. Captured ${captured.size} messages.`);
                   // Scroll to top and do final harvest
                   scroller.scrollTop = 0;
                   await wait(500);
@@ -1541,18 +2565,18 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
                   await wait(200);
                   break;
                 } else {
-                  // If we've tried 5 times with no change and not at top, we're truly stuck - break
+                  // If we've tried giveUpAfter times with no change and not at top, we're truly stuck - break
                   console.log(`[ChatGrabber] Stuck after ${noChangeCount} attempts, breaking. Captured ${captured.size} messages.`);
                   break;
                 }
               }
             } catch (bumpErr) {
               console.warn('[ChatGrabber] Bump scroll failed:', bumpErr);
-              if (noChangeCount >= 5) {
+              if (noChangeCount >= giveUpAfter) {
                 // Check if we're at top before breaking
                 const atTopText = isAtTopOfChat();
                 if (atTopText) {
-                  console.log(`[ChatGrabber] Found "beginning of direct message" text - we're at the top. Captured ${captured.size} messages.`);
+                  console.log(`[ChatGrabber] Reached the start of the conversation. Captured ${captured.size} messages.`);
                   scroller.scrollTop = 0;
                   await wait(500);
                   harvest();
@@ -1586,36 +2610,32 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
           lastCount = now;
         }
         
-        // Progress logging
+        // Progress logging every five iterations; the overlay gets a (small) update every time
         if (iterations % 5 === 0) {
           console.log(`[ChatGrabber] Progress: ${captured.size}/${maxMsgLimit !== Infinity ? maxMsgLimit : '∞'} messages cached, scroll: ${Math.round(currentScrollTop)}, new: ${newMessages}, at top: ${isAtTop}`);
-          
-          // Send progress message with all currently cached elements
-          try {
-            const cachedArray = Array.from(captured.values()).map(rec => ({
-              key: rec.key,
-              order: rec.order,
-              seq: rec.seq,
-              html: rec.html
-            }));
-            
-            chrome.runtime.sendMessage({
-              type: 'SF_CHATGRABBER_PROGRESS',
-              progress: {
-                cached: captured.size,
-                total: maxMsgLimit !== Infinity ? maxMsgLimit : null,
-                scroll: Math.round(currentScrollTop),
-                new: newMessages,
-                atTop: isAtTop,
-                iterations: iterations
-              },
-              cachedMessages: cachedArray
-            }).catch(() => {
-              // Ignore errors if background script isn't listening
-            });
-          } catch (e) {
-            // Ignore errors sending progress message
+        }
+        try {
+          let oldest = null;
+          for (const rec of captured.values()) {
+            const t = messageTime(rec.message, rec.order);
+            if (t != null && (oldest == null || t < oldest)) oldest = t;
           }
+          chrome.runtime.sendMessage({
+            type: 'SF_CHATGRABBER_PROGRESS',
+            progress: {
+              cached: captured.size,
+              total: maxMsgLimit !== Infinity ? maxMsgLimit : null,
+              oldest: oldest != null ? new Date(oldest).toISOString() : null,
+              scroll: Math.round(currentScrollTop),
+              new: newMessages,
+              atTop: isAtTop,
+              iterations: iterations
+            }
+          }).catch(() => {
+            // Ignore errors if background script isn't listening
+          });
+        } catch (e) {
+          // Ignore errors sending progress message
         }
         
         // Check if we've reached the message limit
@@ -1628,7 +2648,7 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
           // At top and no new messages for multiple iterations, and scroll hasn't changed
           if (isAtTop) {
             topCheckCount++;
-            console.log(`[ChatGrabber] At top - check ${topCheckCount}/2`);
+            console.log(`[ChatGrabber] At top - check ${topCheckCount}/${topChecks}`);
             
             // Capture profile header when at top
             await captureProfileHeader();
@@ -1644,9 +2664,9 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
               noNew = 0;
               noScrollChange = 0;
               lastCount = countMessages();
-            } else if (topCheckCount >= 2) {
-              // Checked 2 times at top with no new messages - do final check then break
-              console.log(`[ChatGrabber] Checked at top 2 times, doing final check`);
+            } else if (topCheckCount >= topChecks) {
+              // Checked enough times at top with no new messages - do final check then break
+              console.log(`[ChatGrabber] Checked at top ${topCheckCount} times, doing final check`);
               await wait(1000);
               const finalHarvest = harvest(); // Final harvest
               if (finalHarvest.topmostNewMessage) {
@@ -1693,19 +2713,28 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
         lastScrollTop = currentScrollTop;
     }
       
+      if (control().cancelled) return { ok: false, cancelled: true, error: 'Capture cancelled' };
+      
       // Final harvest to catch any remaining messages
     harvest();
       
-      // Try to capture profile header one more time at the end
-      scroller.scrollTop = 0;
-      await wait(500);
-      captureProfileHeader();
-      await wait(300);
-      // Harvest again in case profile header triggered any new messages
-      harvest();
+      if (!stopsEarly && !control().stop) {
+        // Try to capture profile header one more time at the end
+        scroller.scrollTop = 0;
+        await wait(500);
+        captureProfileHeader();
+        await wait(300);
+        // Harvest again in case profile header triggered any new messages
+        harvest();
+      }
       
-      // Sort all cached messages chronologically
-    const records = Array.from(captured.values()).sort((a,b)=>{
+      // Sort all cached messages chronologically; incremental runs keep only what is newer than the last archive,
+      // date-range runs only what falls inside the range
+    const records = Array.from(captured.values()).filter(rec => {
+        if (!isInRange(rec.message, rec.order)) return false;
+        if (!stopAt) return true;
+        return !!rec.message && !isAtOrBeforeStop(rec.message.id, rec.order);
+      }).sort((a,b)=>{
         try { 
           const orderA = BigInt(a.order);
           const orderB = BigInt(b.order);
@@ -1726,7 +2755,7 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
         scroller.scrollTop = 0;
       } catch {}
       
-    return { ok:true, loaded: records.length };
+    return { ok:true, loaded: records.length, reachedStop, reachedRangeStart };
     } catch (error) {
       console.error('[ChatGrabber] Error during scroll:', error);
       return { ok: false, error: String(error) };
@@ -1737,154 +2766,25 @@ function autoScrollDiscordHistory(maxMessages, settleMs, maxNoNew, untilTop) {
   })();
 }
 
-function ensureAllMessagesInDOM() {
-  // Just scroll normally to top - no message loading attempts
-  return (async () => {
-    try {
-      function findScroller() {
-        const cands = [
-          document.querySelector('.messagesWrapper__36d07 .scroller__36d07'),
-          document.querySelector('div[class*="messagesWrapper"] div[class*="scroller"]'),
-          document.querySelector('[data-list-id="chat-messages"]'),
-          document.querySelector('[role="log"]'),
-          document.querySelector('main div[class*="scroller"]')
-        ].filter(Boolean);
-        for (const el of cands) {
-          const cs = getComputedStyle(el);
-          const canY = /(auto|scroll)/.test(cs.overflowY);
-          if (canY && el.scrollHeight > el.clientHeight) return el;
-        }
-        if (document.scrollingElement && document.scrollingElement.scrollHeight > document.scrollingElement.clientHeight) {
-          return document.scrollingElement;
-        }
-        return document.documentElement;
-      }
-      
-      function wait(ms) { return new Promise(r => setTimeout(r, ms)); }
-      
-      const scroller = findScroller();
-      if (!scroller) return;
-      
-      // Just scroll normally to top (no loading attempts)
-      scroller.scrollTop = 0;
-      await wait(200);
-    } catch (e) {
-      console.warn('[ChatGrabber] Error scrolling to top:', e);
-    }
-  })();
-}
-
-function mergeBufferedMessagesIntoDiscordPage() {
+function mergeBufferedMessagesIntoPage() {
   return (async () => {
     try {
     // Replace the entire message container with all cached messages
     // This ensures all messages are in the DOM as if Discord loaded them all at once
     
+    const adapter = globalThis.__sf_siteAdapters && globalThis.__sf_siteAdapters.get(location);
+    if (!adapter) return { ok: false, inserted: 0, title: document.title };
+
     // First, capture the profile/header area at the beginning of the chat
     function captureProfileHeader() {
       try {
         // Scroll to top to ensure profile header is visible
-        const scroller = document.querySelector('[data-list-id="chat-messages"]')?.closest('[class*="scroller"]') ||
-                        document.querySelector('[role="log"]')?.closest('[class*="scroller"]') ||
-                        document.querySelector('main div[class*="scroller"]');
+        const scroller = adapter.findScroller();
         if (scroller) {
           scroller.scrollTop = 0;
         }
         
-        // Look for profile header with multiple strategies
-        let profileElement = null;
-        
-        // Strategy 1: Look for text content "beginning of your direct message"
-        const allElements = document.querySelectorAll('*');
-        for (const el of allElements) {
-          const text = (el.textContent || '').toLowerCase();
-          if (text.includes('beginning of your direct message') || 
-              text.includes('this is the beginning')) {
-            // Find the parent container that likely contains the full profile area
-            let parent = el.parentElement;
-            let candidate = el;
-            for (let i = 0; i < 5 && parent; i++) {
-              if (parent.querySelector('img[class*="avatar"], img[alt*="avatar"]') ||
-                  parent.querySelector('[class*="profile"], [class*="emptyState"]')) {
-                candidate = parent;
-                break;
-              }
-              parent = parent.parentElement;
-            }
-            profileElement = candidate;
-            break;
-          }
-        }
-        
-        // Strategy 2: Look for empty state containers
-        if (!profileElement) {
-          const emptySelectors = [
-            '[class*="emptyState"]',
-            '[class*="emptyChannel"]',
-            '[class*="emptyStateWrapper"]',
-            '[class*="emptyChannelIcon"]',
-            'div[class*="empty"]',
-            'section[class*="empty"]'
-          ];
-          
-          for (const selector of emptySelectors) {
-            const elements = document.querySelectorAll(selector);
-            for (const el of elements) {
-              const text = (el.textContent || '').toLowerCase();
-              if (text.includes('beginning') || 
-                  text.includes('direct message') ||
-                  el.querySelector('img[class*="avatar"], img[alt*="avatar"]')) {
-                profileElement = el;
-                break;
-              }
-            }
-            if (profileElement) break;
-          }
-        }
-        
-        // Strategy 3: Check message container first child
-        if (!profileElement) {
-          const list = document.querySelector('ol[data-list-id="chat-messages"]');
-          const log = document.querySelector('[role="log"]');
-          const container = list || log;
-          if (container) {
-            // Check first few children
-            const children = Array.from(container.children);
-            for (const child of children.slice(0, 5)) {
-              const text = (child.textContent || '').toLowerCase();
-              if (text.includes('beginning') || 
-                  text.includes('direct message') ||
-                  child.querySelector('img[class*="avatar"], img[alt*="avatar"]') ||
-                  child.querySelector('[class*="profile"], [class*="empty"]')) {
-                profileElement = child;
-                break;
-              }
-            }
-          }
-        }
-        
-        // Strategy 4: Look for large avatar/profile images at the top
-        if (!profileElement) {
-          const largeAvatars = Array.from(document.querySelectorAll('img[class*="avatar"], img[alt*="avatar"], img[class*="Avatar"]'))
-            .filter(img => {
-              const rect = img.getBoundingClientRect();
-              return rect.width > 80 && rect.height > 80; // Large avatar
-            });
-          
-          if (largeAvatars.length > 0) {
-            const largeAvatar = largeAvatars[0];
-            let parent = largeAvatar.parentElement;
-            for (let i = 0; i < 10 && parent; i++) {
-              const text = (parent.textContent || '').toLowerCase();
-              if (text.includes('beginning') || text.includes('direct message') || text.includes('mutual')) {
-                profileElement = parent;
-                break;
-              }
-              parent = parent.parentElement;
-            }
-          }
-        }
-        
+        const profileElement = adapter.findHeader();
         if (profileElement) {
           const clone = profileElement.cloneNode(true);
           // Ensure profile images have their URLs
@@ -1913,9 +2813,7 @@ function mergeBufferedMessagesIntoDiscordPage() {
     
     const profileHeaderHtml = captureProfileHeader();
     
-    const list = document.querySelector('ol[data-list-id="chat-messages"]');
-    const log = document.querySelector('[role="log"]');
-    const container = list || log || document.querySelector('main');
+    const container = adapter.findMessageContainer() || document.querySelector('main');
     if (!container) return { ok: false, inserted: 0, title: document.title };
     
     // Use the complete cached message set
@@ -1957,19 +2855,11 @@ function mergeBufferedMessagesIntoDiscordPage() {
             }
           }
           
-          // Look for message ID in data attributes
-          const idAttr = node.getAttribute('data-list-item-id') || node.id || node.getAttribute('data-message-id');
-          if (idAttr) {
-            const m = String(idAttr).match(/(\d{17,})/); // Discord message IDs are 17-19 digits
-            if (m) {
-              const msgId = BigInt(m[1]);
-              // Discord message IDs contain timestamp in the high bits
-              // Extract approximate timestamp (snowflake ID format)
-              const timestamp = Number((msgId >> 22n) + 1420070400000n); // Discord epoch
-              if (timestamp > 0 && timestamp < Date.now() + 86400000) { // Sanity check
-                return timestamp;
-              }
-            }
+          // Some sites (Discord snowflakes) encode the time in the message id
+          const msgId = adapter.getMessageId(node);
+          const timestamp = msgId ? adapter.timestampFromId(msgId) : null;
+          if (timestamp && timestamp > 0 && timestamp < Date.now() + 86400000) { // Sanity check
+            return timestamp;
           }
         }
       } catch {}
@@ -1985,7 +2875,7 @@ function mergeBufferedMessagesIntoDiscordPage() {
       return timeA - timeB; // Oldest first (ascending order)
     });
     
-    console.log(`[ChatGrabber] Merging ${sorted.length} messages into Discord structure (inverted: oldest first)`);
+    console.log(`[ChatGrabber] Merging ${sorted.length} messages into ${adapter.name} structure (inverted: oldest first)`);
     
     // Remove all existing messages and placeholders from container
     const existingChildren = Array.from(container.children);
@@ -2057,10 +2947,7 @@ function mergeBufferedMessagesIntoDiscordPage() {
     }
     
     // Find the scroller and ensure it can scroll to show all messages
-    const scroller = container.closest('[class*="scroller"]') || 
-                     document.querySelector('[data-list-id="chat-messages"]')?.closest('[class*="scroller"]') ||
-                     document.querySelector('[role="log"]')?.closest('[class*="scroller"]') ||
-                     document.querySelector('main div[class*="scroller"]');
+    const scroller = adapter.findScroller();
     
     if (scroller) {
       try {
@@ -2114,7 +3001,7 @@ function mergeBufferedMessagesIntoDiscordPage() {
       }
     }
     
-        console.log(`[ChatGrabber] Successfully inserted ${inserted} messages into Discord structure`);
+        console.log(`[ChatGrabber] Successfully inserted ${inserted} messages into ${adapter.name} structure`);
     
     // Wait a moment for DOM to settle before processing images
     await new Promise(resolve => setTimeout(resolve, 300));
@@ -2298,138 +3185,179 @@ function mergeBufferedMessagesIntoDiscordPage() {
 
 async function renderTranscriptInExtensionAndCapture(activeTab) {
   try {
-    const [{ result }] = await chrome.scripting.executeScript({ target: { tabId: activeTab.id, allFrames: false }, func: () => ({ items: Array.isArray(window.__sf_capturedMessages)?window.__sf_capturedMessages:[], title: document.title }) });
+    const [{ result }] = await executeWithSiteAdapter(activeTab.id, () => ({ items: Array.isArray(window.__sf_capturedMessages)?window.__sf_capturedMessages:[], title: document.title }));
     const items = result?.items || []; const sourceTitle = result?.title || 'Chat Transcript';
     const url = chrome.runtime.getURL('transcript.html');
     const created = await chrome.tabs.create({ url, active: false });
     const createdTabId = created.id; if (!createdTabId) throw new Error('Failed to open transcript tab');
-    await new Promise(r=>setTimeout(r, 300));
-    await chrome.scripting.executeScript({ target: { tabId: createdTabId }, func: (payload) => { window.__sf_payload = payload; }, args: [{ items, title: sourceTitle }] });
-    await chrome.scripting.executeScript({ target: { tabId: createdTabId }, files: ['transcript.js'] });
-    await new Promise(r=>setTimeout(r, 200));
-    const blob = await chrome.pageCapture.saveAsMHTML({ tabId: createdTabId });
+    let blob;
+    try {
+      await new Promise(r=>setTimeout(r, 300));
+      await chrome.scripting.executeScript({ target: { tabId: createdTabId }, func: (payload) => { window.__sf_payload = payload; }, args: [{ items, title: sourceTitle }] });
+      await chrome.scripting.executeScript({ target: { tabId: createdTabId }, files: ['transcript.js'] });
+      await new Promise(r=>setTimeout(r, 200));
+      const { redaction } = await loadOptions();
+      if (redaction.enabled) {
+        const { username } = await getSiteAndUsername(activeTab.id);
+        await redactPageForCapture(createdTabId, redaction, await capturePseudonyms(activeTab.id, username));
+      }
+      blob = await chrome.pageCapture.saveAsMHTML({ tabId: createdTabId });
+    } finally {
+      // Snapshot taken (or failed); no need to keep the helper tab open while the save dialog waits
+      try { await chrome.tabs.remove(createdTabId); } catch {}
+    }
     const { siteName, username } = await getSiteAndUsername(activeTab.id);
-    const filename = buildPreferredFilename(siteName, username) + '.mhtml';
-    const bytes = await blob.arrayBuffer(); const base64 = arrayBufferToBase64(bytes);
-    const dataUrl = `data:multipart/related;base64,${base64}`;
-    await chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
-    await chrome.tabs.remove(createdTabId);
+    const filename = await buildCaptureFilename(activeTab.id, { siteName, username, messageCount: items.length, format: 'mhtml', extension: 'mhtml' });
+    const saved = await downloadBlob(blob, filename);
+    await saveToLibrary({ format: 'mhtml', filename, saved, capture: buildCaptureInfo({ url: activeTab.url, title: sourceTitle }, siteName, username), blob });
   } catch (e) {
     console.error('renderTranscriptInExtensionAndCapture failed', e);
-    await downloadTranscriptHTMLFallback(activeTab);
+    await downloadTranscriptFallback(activeTab);
   }
 }
 
-async function downloadTranscriptHTMLFallback(tab) {
-  try {
-    const [{ result }] = await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: false }, func: getTranscriptHtmlForDownload });
-    if (!result || !result.ok) throw new Error('No transcript HTML available');
-    const html = result.html; const { siteName, username } = await getSiteAndUsername(tab.id); const filename = buildPreferredFilename(siteName, username) + '.html';
-    const encoder = new TextEncoder(); const bytes = encoder.encode(html); const base64 = arrayBufferToBase64(bytes.buffer);
-    const dataUrl = `data:text/html;charset=utf-8;base64,${base64}`; await chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
-  } catch (e) { console.error('Transcript HTML fallback failed', e); }
-}
-
-function getTranscriptHtmlForDownload() {
+// The snapshot failed; the buffered records still make a Markdown transcript (redacted like any export)
+async function downloadTranscriptFallback(tab) {
   try {
-    const items = Array.isArray(window.__sf_capturedMessages) ? window.__sf_capturedMessages : [];
-    const listItems = items.map(html => `<li style="padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.06)">${html}</li>`).join('');
-    const body = `<div id=\"sf-root\" style=\"min-height:100vh;overflow:auto\"><section id=\"sf-captured-chat\" style=\"max-width:1000px;margin:0 auto;padding:8px\"><div style=\"position:sticky;top:0;background:#111;padding:8px 0;font-weight:bold;z-index:1\">Captured Chat Transcript (combined)</div><ol style=\"list-style:none;padding:0;margin:0\">${listItems}</ol></section></div>`;
-    const css = `html,body{min-height:100%;} body{background:#111;color:#ddd;font-family:sans-serif;margin:0;overflow:auto} a{color:#9ab} img{max-width:100%} *{box-sizing:border-box} pre,code{white-space:pre-wrap} ol{margin:0;padding:0}`;
-    const title = document.title || 'Chat Transcript';
-    const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title><meta name="viewport" content="width=device-width,initial-scale=1"><style>${css}</style></head><body>${body}</body></html>`;
-    return { ok: true, html };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
+    const [{ result }] = await executeWithSiteAdapter(tab.id, collectCapturedMessageRecords);
+    if (!result || !result.ok || !result.messages.length) throw new Error(result?.error || 'No captured messages available');
+    const { siteName, username } = await getSiteAndUsername(tab.id);
+    const capture = buildCaptureInfo({ ...result, url: tab.url, title: tab.title }, siteName, username);
+    const exporter = EXPORT_FORMATS.md;
+    const filename = await buildCaptureFilename(tab.id, { siteName, username, channel: capture.channel, messageCount: result.messages.length, format: 'md', extension: exporter.extension });
+    const { redaction } = await loadOptions();
+    const saved = await downloadText(buildRedactedExport(exporter, capture, result.messages, redaction), exporter.mime, filename);
+    await saveToLibrary({ format: 'md', filename, saved, capture, messages: result.messages });
+  } catch (e) { console.error('Transcript fallback failed', e); }
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
     try {
       if (message?.type === 'SF_CHATGRABBER_PROGRESS') {
-        // Handle progress updates from chat grabber
-        const { progress, cachedMessages } = message;
-        console.log(`[ChatGrabber] Progress update: ${progress.cached} messages cached`, {
-          progress,
-          cachedMessagesCount: cachedMessages?.length || 0,
-          cachedMessages: cachedMessages
-        });
+        // Scroll loop progress; shown in the capture's overlay
+        const { progress } = message;
+        if (sender.tab?.id != null) await updateCaptureProgress(sender.tab.id, { cached: progress.cached, oldest: progress.oldest });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_CAPTURE_CONTROL') {
+        if (sender.tab?.id != null) await setCaptureControl(sender.tab.id, message.action);
         sendResponse({ ok: true });
         return;
       }
       
       if (message?.type === 'SF_FETCH_AS_DATAURL') {
-        const { url, asBinary, timeoutMs } = message;
-        try {
-          const controller = new AbortController();
-          const timeout = setTimeout(() => controller.abort(), timeoutMs || 30000);
-          let res;
-          try {
-            res = await fetch(url, { 
-              credentials: 'include', 
-              signal: controller.signal,
-              mode: 'cors',
-              cache: 'no-cache'
-            });
-          } catch (fetchErr) {
-            // If CORS fails, try no-cors mode (limited but might work for some images)
-            if (fetchErr.name === 'TypeError' && fetchErr.message.includes('CORS')) {
-              try {
-                res = await fetch(url, { 
-                  credentials: 'include', 
-                  signal: controller.signal,
-                  mode: 'no-cors',
-                  cache: 'no-cache'
-                });
-                // no-cors mode returns opaque response, we can't read it
-                // But we can still try to use the URL as-is
-                console.warn('[ChatGrabber] CORS blocked fetch for:', url, '- using original URL');
-                sendResponse({ ok: false, error: 'CORS blocked', url });
-                return;
-              } catch (noCorsErr) {
-                clearTimeout(timeout);
-                throw new Error(`Fetch failed: ${fetchErr.message}`);
-              }
-            }
-            clearTimeout(timeout);
-            throw fetchErr;
-          }
-          clearTimeout(timeout);
-          if (!res.ok) {
-            // For 404 or other errors, log but don't fail completely
-            console.warn('[ChatGrabber] Fetch failed for:', url, 'Status:', res.status);
-            sendResponse({ ok: false, error: `Fetch failed ${res.status}`, url });
-            return;
-          }
-          const contentType = res.headers.get('content-type') || '';
-          if (asBinary) {
-            const blob = await res.blob();
-            const arrayBuffer = await blob.arrayBuffer();
-            const base64 = arrayBufferToBase64(arrayBuffer);
-            // Ensure we have a proper content type
-            const finalContentType = contentType || blob.type || 'application/octet-stream';
-            sendResponse({ ok: true, dataUrl: `data:${finalContentType};base64,${base64}` });
-          } else {
-            const text = await res.text();
-            const encoded = encodeURIComponent(text).replace(/%20/g, '+');
-            sendResponse({ ok: true, dataUrl: `data:${contentType};charset=utf-8,${encoded}` });
-          }
-        } catch (err) {
-          console.error('[ChatGrabber] Error fetching as data URL:', url, err);
-          sendResponse({ ok: false, error: String(err), url });
-        }
+        const { url, asBinary, timeoutMs, captureId } = message;
+        sendResponse(await fetchAsDataUrlCached(captureId, url, asBinary, timeoutMs));
+        return;
+      }
+
+      if (message?.type === 'SF_CAPTURE_END') {
+        FETCH_CACHES.delete(message.captureId);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_FILENAME') {
+        // content.js asks for its single-file save name so every save goes through the same template
+        const tabId = sender.tab?.id;
+        if (tabId == null) { sendResponse({ ok: false, error: 'No tab' }); return; }
+        const { siteName, username } = await getSiteAndUsername(tabId);
+        sendResponse({ ok: true, filename: await buildCaptureFilename(tabId, { siteName, username, format: message.format, extension: message.extension }) });
         return;
       }
 
       if (message?.type === 'SF_DOWNLOAD_HTML') {
         const { filename, html } = message;
-        // MV3 service workers may not support URL.createObjectURL; use data URL instead.
-        const encoder = new TextEncoder();
-        const bytes = encoder.encode(html);
-        const base64 = arrayBufferToBase64(bytes.buffer);
-        const dataUrl = `data:text/html;charset=utf-8;base64,${base64}`;
-        await chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
+        // MV3 service workers cannot create object URLs; the offscreen document does it for us
+        await downloadText(html, 'text/html', filename);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_SINGLEFILE_PROGRESS') {
+        const tabId = sender.tab?.id;
+        const { step, steps } = message;
+        if (tabId != null && steps) await setBadge(tabId, `${Math.min(99, Math.round((step / steps) * 100))}%`, '#555');
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_SINGLEFILE_DONE') {
+        const tabId = sender.tab?.id;
+        const { ok, filename, failed, total, error } = message;
+        if (ok) {
+          console.log(`[SingleFile] Saved ${filename}: ${total - failed}/${total} resources inlined`, message.failedUrls || []);
+          if (tabId != null) await setBadge(tabId, failed ? `!${failed}` : 'OK', failed ? '#c80' : '#080', 15000);
+        } else {
+          console.error('[SingleFile] Save failed', error);
+          if (tabId != null) await setBadge(tabId, 'ERR', '#b00', 15000);
+        }
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_LIVE_MESSAGES') {
+        sendResponse(sender.tab ? await recordLiveMessages(sender.tab, message) : { ok: false, error: 'No tab' });
+        return;
+      }
+
+      if (message?.type === 'SF_BATCH_LIST_CONVERSATIONS') {
+        await chrome.scripting.executeScript({ target: { tabId: message.tabId, allFrames: true }, files: ['site-adapters.js'] });
+        const [{ result }] = await chrome.scripting.executeScript({ target: { tabId: message.tabId }, func: listConversationsInPage });
+        sendResponse({ ok: true, conversations: result || [] });
+        return;
+      }
+
+      if (message?.type === 'SF_BATCH_START') {
+        if (batchRunning) {
+          sendResponse({ ok: false, error: 'A batch capture is already running' });
+          return;
+        }
+        const { tabId, items, format } = message;
+        if (format !== 'mhtml' && !EXPORT_FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+        const range = normalizeCaptureRange(message.range);
+        runBatchCapture(tabId, items || [], format, range).catch(e => console.error('[ChatGrabber] Batch capture failed', e));
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_SCHEDULE_SAVE') {
+        sendResponse({ ok: true, schedule: await saveSchedule(message.schedule || {}) });
+        return;
+      }
+
+      if (message?.type === 'SF_SCHEDULE_DELETE') {
+        await deleteSchedule(message.id);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_SCHEDULE_RUN_NOW') {
+        runScheduledCapture(message.id).catch(e => console.error('[ChatGrabber] Scheduled capture failed', e));
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (message?.type === 'SF_CAPTURE_RANGE') {
+        // Sent by range.html; the chat tab must be in front while it scrolls
+        const { tabId, format } = message;
+        const range = normalizeCaptureRange(message.range);
+        if (!range) throw new Error('Choose a start or end date');
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+        const result = format === 'mhtml'
+          ? await captureChatHistory(tab, { range })
+          : await captureChatExport(tab, format, { range });
+        sendResponse(result);
+        return;
+      }
+
+      if (message?.type === 'SF_BATCH_CANCEL') {
+        // The capture in progress finishes; the remaining channels are skipped
+        batchCancelRequested = true;
         sendResponse({ ok: true });
         return;
       }
@@ -2446,6 +3374,90 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // keep channel open for async sendResponse
 });
 
+async function downloadText(text, mime, filename, options) {
+  return downloadBlob(new Blob([text], { type: `${mime};charset=utf-8` }), filename, options);
+}
+
+// Per-capture URL -> Promise<response> caches so every frame of one single-file save
+// shares each fetch; dropped on SF_CAPTURE_END or when they go stale
+const FETCH_CACHES = new Map();
+const FETCH_CACHE_TTL_MS = 10 * 60 * 1000;
+
+function fetchAsDataUrlCached(captureId, url, asBinary, timeoutMs) {
+  if (!captureId) return fetchAsDataUrlResponse(url, asBinary, timeoutMs);
+  const now = Date.now();
+  for (const [id, entry] of FETCH_CACHES) {
+    if (now - entry.createdAt > FETCH_CACHE_TTL_MS) FETCH_CACHES.delete(id);
+  }
+  let entry = FETCH_CACHES.get(captureId);
+  if (!entry) {
+    entry = { createdAt: now, responses: new Map() };
+    FETCH_CACHES.set(captureId, entry);
+  }
+  const key = (asBinary ? 'bin:' : 'text:') + url;
+  if (!entry.responses.has(key)) entry.responses.set(key, fetchAsDataUrlResponse(url, asBinary, timeoutMs));
+  return entry.responses.get(key);
+}
+
+async function fetchAsDataUrlResponse(url, asBinary, timeoutMs) {
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs || 30000);
+    let res;
+    try {
+      res = await fetch(url, { 
+        credentials: 'include', 
+        signal: controller.signal,
+        mode: 'cors',
+        cache: 'no-cache'
+      });
+    } catch (fetchErr) {
+      // If CORS fails, try no-cors mode (limited but might work for some images)
+      if (fetchErr.name === 'TypeError' && fetchErr.message.includes('CORS')) {
+        try {
+          res = await fetch(url, { 
+            credentials: 'include', 
+            signal: controller.signal,
+            mode: 'no-cors',
+            cache: 'no-cache'
+          });
+          // no-cors mode returns opaque response, we can't read it
+          // But we can still try to use the URL as-is
+          console.warn('[ChatGrabber] CORS blocked fetch for:', url, '- using original URL');
+          return { ok: false, error: 'CORS blocked', url };
+        } catch (noCorsErr) {
+          clearTimeout(timeout);
+          throw new Error(`Fetch failed: ${fetchErr.message}`);
+        }
+      }
+      clearTimeout(timeout);
+      throw fetchErr;
+    }
+    clearTimeout(timeout);
+    if (!res.ok) {
+      // For 404 or other errors, log but don't fail completely
+      console.warn('[ChatGrabber] Fetch failed for:', url, 'Status:', res.status);
+      return { ok: false, error: `Fetch failed ${res.status}`, url };
+    }
+    const contentType = res.headers.get('content-type') || '';
+    if (asBinary) {
+      const blob = await res.blob();
+      const arrayBuffer = await blob.arrayBuffer();
+      const base64 = arrayBufferToBase64(arrayBuffer);
+      // Ensure we have a proper content type
+      const finalContentType = contentType || blob.type || 'application/octet-stream';
+      return { ok: true, dataUrl: `data:${finalContentType};base64,${base64}` };
+    } else {
+      const text = await res.text();
+      const encoded = encodeURIComponent(text).replace(/%20/g, '+');
+      return { ok: true, dataUrl: `data:${contentType};charset=utf-8,${encoded}` };
+    }
+  } catch (err) {
+    console.error('[ChatGrabber] Error fetching as data URL:', url, err);
+    return { ok: false, error: String(err), url };
+  }
+}
+
 function arrayBufferToBase64(buffer) {
   let binary = '';
   const bytes = new Uint8Array(buffer);
@@ -2531,27 +3543,42 @@ async function getSiteAndUsername(tabId) {
   }
 }
 
-function buildPreferredFilename(siteName, username) {
-  const safe = (s) => String(s || '').replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim();
-  const site = safe((siteName || '').replace(/^www\./i, '')) || 'Website';
-  const user = safe(username) || 'username';
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  const yyyy = now.getFullYear();
-  const MM = pad(now.getMonth() + 1);
-  const dd = pad(now.getDate());
-  const hh = pad(now.getHours());
-  const mm = pad(now.getMinutes());
-  const ss = pad(now.getSeconds());
-  const tzMin = -now.getTimezoneOffset();
-  const tzSign = tzMin >= 0 ? '+' : '-';
-  const tzH = pad(Math.floor(Math.abs(tzMin) / 60));
-  const tzM = pad(Math.abs(tzMin) % 60);
-  const datePart = `${yyyy}-${MM}-${dd}`;
-  const timePart = `${hh}-${mm}-${ss}`; // Windows-safe time
-  const tz = `UTC${tzSign}${tzH}:${tzM}`;
-  const raw = `${site} - ${user} - ${datePart} ${timePart} & ${tz}`;
-  return safe(raw).slice(0, 180) || 'page';
+// Renders the auto-save folder and the site's filename template (options page). Unless downloads overwrite, the counter is
+// raised past names earlier downloads still occupy, so the library records the name the file really gets.
+async function buildCaptureFilename(tabId, { siteName, username, channel, messageCount, format, extension }) {
+  const options = await loadOptions();
+  let siteId = 'generic';
+  try {
+    const frame = await findChatFrame(tabId);
+    siteId = frame.adapter || 'generic';
+    channel = channel || frame.channel;
+  } catch {}
+  const folder = String(options.download.folder || '').trim();
+  const template = folder ? `${folder}/${filenameTemplateFor(options, siteId)}` : filenameTemplateFor(options, siteId);
+  const ctx = { site: siteName, username, server: channel?.serverName, channel: channel?.name, date: new Date(), messageCount, format, extension };
+  // With pseudonyms on, people's names stay out of the filename too (DM channels are named after the partner)
+  if (options.redaction.enabled && options.redaction.pseudonymize) {
+    ctx.username = 'redacted';
+    if (channel?.type === 'dm' || channel?.scope) ctx.channel = 'redacted';
+  }
+  if (options.download.conflictAction === 'overwrite') return renderFilenameTemplate(template, ctx);
+  const taken = await existingDownloadPaths();
+  for (let n = 1; n < 1000; n++) {
+    const filename = renderFilenameTemplate(template, { ...ctx, n });
+    const suffix = '/' + filename.toLowerCase();
+    if (!taken.some(path => path.endsWith(suffix))) return filename;
+  }
+  return renderFilenameTemplate(template, { ...ctx, n: Date.now() });
+}
+
+// Lower-cased, '/'-separated absolute paths of downloaded files that are still on disk
+async function existingDownloadPaths() {
+  try {
+    const items = await chrome.downloads.search({ exists: true, limit: 5000 });
+    return items.map(item => String(item.filename || '').replace(/\\/g, '/').toLowerCase());
+  } catch {
+    return [];
+  }
 }
 
 
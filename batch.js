@@ -0,0 +1,179 @@
+// Batch capture page: collects channel URLs (from the chat's sidebar or pasted)
+// and hands them to the background worker, which captures them one by one in
+// the source tab (batch.html?tab=<id>). Progress is read from storage so the
+// page can be closed and reopened while a batch runs.
+
+(function(){
+  const BATCH_STATE_KEY = 'sf_batch_state';
+  const tabId = Number(new URLSearchParams(location.search).get('tab')) || null;
+  const sourceTab = document.getElementById('sourceTab');
+  const loadSidebarBtn = document.getElementById('loadSidebar');
+  const selectAllBtn = document.getElementById('selectAll');
+  const selectNoneBtn = document.getElementById('selectNone');
+  const sidebarStatus = document.getElementById('sidebarStatus');
+  const conversations = document.getElementById('conversations');
+  const urlsInput = document.getElementById('urls');
+  const fromInput = document.getElementById('from');
+  const toInput = document.getElementById('to');
+  const formatSelect = document.getElementById('format');
+  const startBtn = document.getElementById('start');
+  const stopBtn = document.getElementById('stop');
+  const status = document.getElementById('status');
+  const progress = document.getElementById('progress');
+  const rows = document.getElementById('rows');
+  const summary = document.getElementById('summary');
+  const summaryText = document.getElementById('summaryText');
+  const saveReportBtn = document.getElementById('saveReport');
+  let lastState = null;
+  let sourceAvailable = !!tabId;
+
+  formatSelect.appendChild(option('mhtml', 'MHTML (page snapshot)'));
+  for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) formatSelect.appendChild(option(format, exporter.label));
+  loadOptions().then((options) => { formatSelect.value = options.defaultFormat; }).catch(() => {});
+
+  async function describeSourceTab() {
+    if (!tabId) {
+      sourceTab.textContent = 'the source tab (none given — open this page from the chat tab\'s menu)';
+      loadSidebarBtn.disabled = startBtn.disabled = true;
+      return;
+    }
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      sourceTab.textContent = `“${tab.title || tab.url}”`;
+    } catch {
+      sourceTab.textContent = 'the source tab (closed)';
+      sourceAvailable = false;
+      loadSidebarBtn.disabled = startBtn.disabled = true;
+    }
+  }
+
+  async function loadSidebar() {
+    sidebarStatus.textContent = 'Reading…';
+    conversations.textContent = '';
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'SF_BATCH_LIST_CONVERSATIONS', tabId });
+      if (!res?.ok) throw new Error(res?.error || 'No response');
+      for (const conv of res.conversations) {
+        const label = el('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = conv.url;
+        box.dataset.name = conv.name || '';
+        label.append(box, ` ${conv.name} `, el('span', 'muted', conv.type === 'dm' ? '(DM)' : ''));
+        conversations.appendChild(label);
+      }
+      sidebarStatus.textContent = res.conversations.length ? `${res.conversations.length} conversations` : 'No conversations found in this page';
+      selectAllBtn.disabled = selectNoneBtn.disabled = !res.conversations.length;
+    } catch (e) {
+      sidebarStatus.textContent = `Failed: ${e.message || e}`;
+    }
+  }
+
+  function setAllChecked(checked) {
+    for (const box of conversations.querySelectorAll('input[type=checkbox]')) box.checked = checked;
+  }
+
+  // Checked sidebar entries first, then pasted URLs; duplicates are dropped
+  function collectItems() {
+    const items = [];
+    const seen = new Set();
+    const add = (url, name) => {
+      if (seen.has(url)) return;
+      seen.add(url);
+      items.push({ url, name: name || null });
+    };
+    for (const box of conversations.querySelectorAll('input[type=checkbox]:checked')) add(box.value, box.dataset.name);
+    for (const line of urlsInput.value.split(/\s+/)) {
+      if (!line) continue;
+      try {
+        const url = new URL(line);
+        if (url.protocol === 'http:' || url.protocol === 'https:') add(url.href, null);
+      } catch {}
+    }
+    return items;
+  }
+
+  async function start() {
+    const items = collectItems();
+    if (!items.length) {
+      status.textContent = 'Select or paste at least one channel';
+      return;
+    }
+    const range = { from: dayBoundary(fromInput.value, false), to: dayBoundary(toInput.value, true) };
+    const res = await chrome.runtime.sendMessage({ type: 'SF_BATCH_START', tabId, items, format: formatSelect.value, range });
+    status.textContent = res?.ok ? '' : `Could not start: ${res?.error || 'no response'}`;
+  }
+
+  function render(state) {
+    lastState = state;
+    const running = !!state?.running;
+    startBtn.disabled = running || !sourceAvailable;
+    stopBtn.disabled = !running;
+    formatSelect.disabled = fromInput.disabled = toInput.disabled = running;
+    if (!state) return;
+    progress.hidden = false;
+    rows.textContent = '';
+    for (const item of state.items) {
+      const tr = el('tr');
+      const cell = el('td', 'url');
+      const link = el('a', null, item.name || item.url);
+      link.href = item.url;
+      link.target = '_blank';
+      link.title = item.url;
+      cell.appendChild(link);
+      tr.appendChild(cell);
+      tr.appendChild(el('td', `status-${item.status}`, item.status));
+      tr.appendChild(el('td', 'num', item.messageCount ?? ''));
+      const resultCell = el('td', null, item.error || item.filename || (item.status === 'done' ? 'No new messages' : ''));
+      if (item.path) resultCell.title = item.path;
+      tr.appendChild(resultCell);
+      rows.appendChild(tr);
+    }
+    const count = (s) => state.items.filter(item => item.status === s).length;
+    const done = count('done');
+    if (running) {
+      status.textContent = `Capturing ${done + count('failed') + 1} of ${state.items.length}…`;
+      summary.hidden = true;
+      return;
+    }
+    status.textContent = '';
+    const messages = state.items.reduce((sum, item) => sum + (item.messageCount || 0), 0);
+    const failed = count('failed');
+    const skipped = count('skipped');
+    summaryText.textContent = `${state.cancelled ? 'Stopped' : 'Finished'} ${formatTranscriptTimestamp(state.finishedAt)}: ${done} of ${state.items.length} captured, ${messages} messages, ${failed} failed${skipped ? `, ${skipped} skipped` : ''}.`;
+    summary.hidden = false;
+  }
+
+  function buildReportCsv(state) {
+    const lines = [['url', 'name', 'status', 'messageCount', 'filename', 'path', 'error'].join(',')];
+    for (const item of state.items) {
+      lines.push([item.url, item.name, item.status, item.messageCount, item.filename, item.path, item.error].map(csvCell).join(','));
+    }
+    return '\ufeff' + lines.join('\r\n') + '\r\n';
+  }
+
+  async function saveReport() {
+    if (!lastState) return;
+    const url = URL.createObjectURL(new Blob([buildReportCsv(lastState)], { type: 'text/csv;charset=utf-8' }));
+    try {
+      const stamp = String(lastState.startedAt || '').replace(/[:.]/g, '-');
+      await chrome.downloads.download({ url, filename: `batch-report-${stamp}.csv`, saveAs: true, conflictAction: 'uniquify' });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+  }
+
+  loadSidebarBtn.addEventListener('click', loadSidebar);
+  selectAllBtn.addEventListener('click', () => setAllChecked(true));
+  selectNoneBtn.addEventListener('click', () => setAllChecked(false));
+  startBtn.addEventListener('click', start);
+  stopBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'SF_BATCH_CANCEL' }));
+  saveReportBtn.addEventListener('click', saveReport);
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[BATCH_STATE_KEY]) render(changes[BATCH_STATE_KEY].newValue || null);
+  });
+
+  describeSourceTab();
+  chrome.storage.local.get(BATCH_STATE_KEY).then(({ [BATCH_STATE_KEY]: state }) => render(state || null));
+})();
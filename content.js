@@ -8,14 +8,32 @@
 
 (function () {
   const LOG_PREFIX = '[SingleFile]';
+  const DOWNLOAD_CHUNK_CHARS = 1024 * 1024;
+  // How many SF_FETCH_AS_DATAURL round-trips may be in flight at once
+  const FETCH_CONCURRENCY = 6;
+
+  // Per-capture tally of resources we tried to inline and the ones left pointing at the network
+  let stats = { total: 0, failed: 0, failedUrls: new Set() };
+  let running = false;
+  // Per-capture id (shared with the background fetch cache) and URL -> Promise<dataUrl> cache
+  let captureId = null;
+  let fetchCache = new Map();
+  const runLimited = createPool(FETCH_CONCURRENCY);
 
   chrome.runtime.onMessage.addListener((message) => {
-    if (message?.type === 'SF_START') {
+    // Only the top frame saves; same-origin child frames are inlined from there
+    if (message?.type === 'SF_START' && window.top === window) {
       void savePageAsSingleFile();
     }
   });
 
   async function savePageAsSingleFile() {
+    if (running) return;
+    running = true;
+    stats = { total: 0, failed: 0, failedUrls: new Set() };
+    captureId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    fetchCache = new Map();
+    const steps = 6;
     try {
       await log('info', 'Starting capture for', location.href);
       // Allow last-second DOM updates (e.g., chat messages) to settle
@@ -28,15 +46,19 @@
       promoteLazyAttributes(clonedDoc);
 
       // Inline <link rel="stylesheet"> and <style> with imported URLs
+      await reportProgress('styles', 1, steps);
       await inlineStyles(clonedDoc);
 
       // Inline <img>, <source>, <link rel="icon"/manifest>, etc.
+      await reportProgress('media', 2, steps);
       await inlineMedia(clonedDoc);
 
       // Inline scripts (best-effort). External scripts become inline text content.
+      await reportProgress('scripts', 3, steps);
       await inlineScripts(clonedDoc);
 
       // Inline same-origin iframes recursively using srcdoc
+      await reportProgress('frames', 4, steps);
       await inlineIframes(clonedDoc);
 
       // Remove CSP meta tags that might block inline resources offline
@@ -44,21 +66,73 @@
 
       const doctype = getDoctypeString(document.doctype);
       const html = doctype + '\n' + clonedDoc.outerHTML;
-      const filename = generatePreferredFilename() + '.html';
+      const filename = await generatePreferredFilename();
+      await reportProgress('saving', 5, steps);
       await downloadHtml(filename, html);
       await log('info', 'Saved', filename);
+      await sendMessage({ type: 'SF_SINGLEFILE_DONE', ok: true, filename, total: stats.total, failed: stats.failed, failedUrls: Array.from(stats.failedUrls).slice(0, 200) });
+      showToast(stats.failed
+        ? `Saved ${filename} — ${stats.failed} of ${stats.total} resources could not be inlined and still point to the web.`
+        : `Saved ${filename} — all ${stats.total} resources inlined.`, !!stats.failed);
     } catch (err) {
       await log('error', err);
+      await sendMessage({ type: 'SF_SINGLEFILE_DONE', ok: false, error: String(err) });
       alert('SingleFile save failed: ' + err);
+    } finally {
+      void sendMessage({ type: 'SF_CAPTURE_END', captureId });
+      fetchCache = new Map();
+      running = false;
     }
   }
 
+  function reportProgress(phase, step, steps) {
+    return sendMessage({ type: 'SF_SINGLEFILE_PROGRESS', phase, step, steps }).catch(() => {});
+  }
+
+  function recordFailure(url) {
+    // The same broken URL may be referenced many times; count it once
+    if (url && stats.failedUrls.has(url)) return;
+    stats.failed++;
+    if (url) stats.failedUrls.add(url);
+  }
+
+  // Returns run(task): at most `limit` tasks execute concurrently, the rest wait in FIFO order
+  function createPool(limit) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+      if (active >= limit || !queue.length) return;
+      active++;
+      const { task, resolve, reject } = queue.shift();
+      Promise.resolve().then(task).then(resolve, reject).finally(() => {
+        active--;
+        next();
+      });
+    };
+    return (task) => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  function showToast(text, isWarning) {
+    try {
+      const toast = document.createElement('div');
+      toast.textContent = text;
+      toast.setAttribute('role', 'status');
+      toast.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;max-width:420px;padding:10px 14px;border-radius:6px;' +
+        'font:13px/1.4 system-ui,sans-serif;color:#fff;box-shadow:0 2px 10px rgba(0,0,0,.4);background:' + (isWarning ? '#8a5a00' : '#1d6b2f');
+      document.documentElement.appendChild(toast);
+      setTimeout(() => toast.remove(), 10000);
+    } catch {}
+  }
+
   async function inlineStyles(rootEl) {
     // Inline external stylesheets
     const linkEls = Array.from(rootEl.querySelectorAll('link[rel="stylesheet"]'));
-    for (const link of linkEls) {
+    await Promise.all(linkEls.map(async (link) => {
       const href = link.getAttribute('href');
-      if (!href) continue;
+      if (!href) return;
       const absUrl = new URL(href, location.href).href;
       try {
         const cssText = await fetchText(absUrl);
@@ -66,16 +140,18 @@
         const style = rootEl.ownerDocument.createElement('style');
         style.textContent = inlined;
         link.replaceWith(style);
-      } catch {}
-    }
+      } catch {
+        recordFailure(absUrl);
+      }
+    }));
 
     // Process existing <style> tags to inline url() assets
     const styleEls = Array.from(rootEl.querySelectorAll('style'));
-    for (const style of styleEls) {
+    await Promise.all(styleEls.map(async (style) => {
       try {
         style.textContent = await rewriteCssUrls(style.textContent || '', location.href);
       } catch {}
-    }
+    }));
   }
 
   async function inlineMedia(rootEl) {
@@ -91,11 +167,11 @@
       ['link[rel="mask-icon"]', 'href'],
       ['link[rel="manifest"]', 'href']
     ];
-    for (const [selector, attr] of attrTargets) {
+    await Promise.all(attrTargets.map(async ([selector, attr]) => {
       const nodes = Array.from(rootEl.querySelectorAll(selector));
-      for (const node of nodes) {
+      await Promise.all(nodes.map(async (node) => {
         const val = node.getAttribute(attr);
-        if (!val) continue;
+        if (!val) return;
         try {
           if (attr === 'srcset') {
             const newSet = await inlineSrcset(val);
@@ -104,7 +180,7 @@
             const absUrl = new URL(val, location.href).href;
             // Skip data URLs and blob URLs
             if (absUrl.startsWith('data:') || absUrl.startsWith('blob:')) {
-              continue;
+              return;
             }
             try {
               const dataUrl = await fetchAsDataUrl(absUrl, true);
@@ -125,7 +201,7 @@
                       const dataUrl = canvas.toDataURL('image/png');
                       node.setAttribute(attr, dataUrl);
                       await log('info', 'Inlined image via canvas fallback:', absUrl);
-                      continue;
+                      return;
                     } catch (canvasErr) {
                       await log('warn', 'Canvas fallback failed for:', absUrl, canvasErr);
                     }
@@ -135,19 +211,20 @@
                 }
               }
               // Log the error but don't fail completely
+              recordFailure(absUrl);
               await log('warn', 'Failed to inline media:', absUrl, fetchErr);
             }
           }
         } catch (err) {
           await log('error', 'Error inlining media:', err);
         }
-      }
-    }
+      }));
+    }));
   }
 
   async function inlineScripts(rootEl) {
     const scriptEls = Array.from(rootEl.querySelectorAll('script'));
-    for (const script of scriptEls) {
+    await Promise.all(scriptEls.map(async (script) => {
       const src = script.getAttribute('src');
       const type = script.getAttribute('type') || 'text/javascript';
       if (src) {
@@ -160,7 +237,9 @@
           // Remove attributes that won't make sense offline
           newScript.removeAttribute('src');
           script.replaceWith(newScript);
-        } catch {}
+        } catch {
+          recordFailure(src);
+        }
       } else {
         // Keep inline content as-is
         script.textContent = script.textContent || '';
@@ -169,7 +248,7 @@
       script.removeAttribute('integrity');
       script.removeAttribute('crossorigin');
       script.removeAttribute('referrerpolicy');
-    }
+    }));
   }
 
   async function inlineIframes(rootEl) {
@@ -252,7 +331,7 @@
           .then((dataUrl) => {
             replacements.push({ start: offset, end: offset + match.length, text: `url(${JSON.stringify(dataUrl)})` });
           })
-          .catch(() => {});
+          .catch(() => recordFailure(absUrl));
         promises.push(p);
       } catch {}
       return match;
@@ -269,17 +348,17 @@
 
   async function inlineSrcset(srcsetValue) {
     const parts = srcsetValue.split(',').map((s) => s.trim()).filter(Boolean);
-    const outParts = [];
-    for (const part of parts) {
+    const outParts = await Promise.all(parts.map(async (part) => {
       const [urlPart, descriptor] = part.split(/\s+/, 2);
       try {
         const absUrl = new URL(urlPart, location.href).href;
         const dataUrl = await fetchAsDataUrl(absUrl, true);
-        outParts.push(descriptor ? `${dataUrl} ${descriptor}` : dataUrl);
+        return descriptor ? `${dataUrl} ${descriptor}` : dataUrl;
       } catch {
-        outParts.push(part);
+        recordFailure(urlPart);
+        return part;
       }
-    }
+    }));
     return outParts.join(', ');
   }
 
@@ -288,112 +367,48 @@
     return `<!DOCTYPE ${doctype.name}${doctype.publicId ? ` PUBLIC \"${doctype.publicId}\"` : ''}${doctype.systemId ? ` \"${doctype.systemId}\"` : ''}>`;
   }
 
-  function generatePreferredFilename() {
-    try {
-      const metaSite = document.querySelector('meta[property="og:site_name"], meta[name="og:site_name"]');
-      const ogSite = (metaSite && metaSite.getAttribute('content')) ? metaSite.getAttribute('content').trim() : '';
-      const title = document.title || '';
-      const titleParts = title.split(' - ').map((s) => s.trim()).filter(Boolean);
-      const candidates = titleParts.filter((p) => /[A-Za-z]/.test(p) && !/^\d{4}-\d{2}-\d{2}/.test(p));
-      let siteName = (ogSite || candidates[candidates.length - 1] || (location.hostname || 'Website')).replace(/^www\./i, '');
-      siteName = siteName.replace(/^#\d+\s*/, '').trim();
-      // Canonicalize Chat Avenue naming
-      try {
-        const host = (location.hostname || '').toLowerCase();
-        const t = (title || '').toLowerCase();
-        const og = (ogSite || '').toLowerCase();
-        const looksChatAvenue = host.includes('chat-avenue') || host.includes('chatavenue') || og.includes('chat avenue') || t.includes('chat avenue');
-        if (looksChatAvenue) siteName = 'Chat Avenue';
-      } catch {}
-
-      function findUsernameInDocument(doc, maxDepth) {
-        try {
-          // Discord: prefer the aria-label in the channel header (actual username/handle)
-          try {
-            const headerUser = doc.querySelector('h1 [aria-label]');
-            const al = headerUser && headerUser.getAttribute('aria-label');
-            if (al && String(al).trim()) return String(al).trim();
-          } catch {}
-          // Discord profile/sidebar username element
-          try {
-            const tag = doc.querySelector('[class*="userTagUsername"]');
-            const t = tag && tag.textContent ? String(tag.textContent).trim() : '';
-            if (t) return t;
-          } catch {}
-
-          const el = doc.getElementById('private_name');
-          if (el) {
-            const val = ("value" in el ? el.value : el.textContent) || '';
-            const t = String(val).trim();
-            if (t) return t;
-          }
-        } catch {}
-        if (!maxDepth || maxDepth <= 0) return '';
-        try {
-          const frames = doc.querySelectorAll('iframe, frame');
-          for (const fr of frames) {
-            try {
-              const childDoc = fr.contentDocument;
-              if (!childDoc) continue;
-              const t = findUsernameInDocument(childDoc, maxDepth - 1);
-              if (t) return t;
-            } catch {}
-          }
-        } catch {}
-        return '';
-      }
-
-      const usernameFound = findUsernameInDocument(document, 5);
-      const username = usernameFound || 'username';
-
-      const now = new Date();
-      const pad = (n) => String(n).padStart(2, '0');
-      const yyyy = now.getFullYear();
-      const MM = pad(now.getMonth() + 1);
-      const dd = pad(now.getDate());
-      const hh = pad(now.getHours());
-      const mm = pad(now.getMinutes());
-      const ss = pad(now.getSeconds());
-      const tzMin = -now.getTimezoneOffset();
-      const tzSign = tzMin >= 0 ? '+' : '-';
-      const tzH = pad(Math.floor(Math.abs(tzMin) / 60));
-      const tzM = pad(Math.abs(tzMin) % 60);
-      const datePart = `${yyyy}-${MM}-${dd}`;
-      const timePart = `${hh}-${mm}-${ss}`; // Windows-safe time
-      const tz = `UTC${tzSign}${tzH}:${tzM}`;
-
-      // Desired: Chat Avenue - username - Full Date & Time & Timezone
-      const raw = `${siteName} - ${username} - ${datePart} ${timePart} & ${tz}`;
-      const sanitized = raw
-        .replace(/[\\/:*?"<>|]+/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .slice(0, 180);
-      return sanitized || 'page';
-    } catch {
-      const fallback = (document.title || 'page').replace(/[\\/:*?"<>|]+/g, ' ').trim() || 'page';
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      return `${fallback} - ${ts}`;
-    }
+  // The worker renders the filename template from the options, so page saves and chat captures are named alike
+  async function generatePreferredFilename() {
+    const resp = await sendMessage({ type: 'SF_FILENAME', format: 'html', extension: 'html' });
+    if (resp.ok && resp.filename) return resp.filename;
+    const fallback = (document.title || 'page').replace(/[\\/:*?"<>|]+/g, ' ').trim() || 'page';
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${fallback} - ${ts}.html`;
   }
 
   async function fetchText(url) {
-    const resp = await sendMessage({ type: 'SF_FETCH_AS_DATAURL', url, asBinary: false });
-    if (!resp.ok) throw new Error(resp.error || 'fetchText failed');
-    const [, metaAndData] = resp.dataUrl.split(',');
+    const dataUrl = await fetchCached(url, false);
+    const [, metaAndData] = dataUrl.split(',');
     const decoded = decodeURIComponent(metaAndData.replace(/\+/g, '%20'));
     return decoded;
   }
 
   async function fetchAsDataUrl(url, asBinary) {
-    const resp = await sendMessage({ type: 'SF_FETCH_AS_DATAURL', url, asBinary });
-    if (!resp.ok) throw new Error(resp.error || 'fetchAsDataUrl failed');
-    return resp.dataUrl;
+    return fetchCached(url, asBinary);
+  }
+
+  // Each distinct URL is fetched and encoded once per capture, through the bounded pool
+  function fetchCached(url, asBinary) {
+    const key = (asBinary ? 'bin:' : 'text:') + url;
+    let pending = fetchCache.get(key);
+    if (!pending) {
+      stats.total++;
+      pending = runLimited(() => sendMessage({ type: 'SF_FETCH_AS_DATAURL', url, asBinary, captureId }))
+        .then((resp) => {
+          if (!resp.ok) throw new Error(resp.error || 'fetch failed');
+          return resp.dataUrl;
+        });
+      fetchCache.set(key, pending);
+    }
+    return pending;
   }
 
   function sendMessage(message) {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage(message, (resp) => resolve(resp));
+      chrome.runtime.sendMessage(message, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp || { ok: false, error: 'No response from background' });
+      });
     });
   }
 
@@ -405,7 +420,47 @@
     return new Promise((r) => setTimeout(r, ms));
   }
 
+  // Stream the HTML to the background worker so it goes through the same download pipeline as MHTML
+  function downloadViaBackground(filename, html) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'sf-download' });
+      let index = 0;
+      const sendNext = () => {
+        const start = index * DOWNLOAD_CHUNK_CHARS;
+        if (start >= html.length) {
+          port.postMessage({ type: 'DOWNLOAD_END' });
+          return;
+        }
+        port.postMessage({ type: 'DOWNLOAD_CHUNK', index, chunk: html.slice(start, start + DOWNLOAD_CHUNK_CHARS) });
+        index++;
+      };
+      port.onMessage.addListener((msg) => {
+        if (msg?.type === 'DOWNLOAD_CHUNK_ACK') {
+          sendNext();
+        } else if (msg?.type === 'DOWNLOAD_DONE') {
+          port.disconnect();
+          if (msg.ok) return resolve();
+          const err = new Error(msg.cancelled ? 'Download was cancelled' : (msg.error || `Download ${msg.state || 'failed'}`));
+          // The download API did its job: the user dismissed the dialog, or the started download ended badly
+          err.final = !!(msg.cancelled || msg.state);
+          reject(err);
+        }
+      });
+      port.onDisconnect.addListener(() => reject(new Error('Background disconnected')));
+      port.postMessage({ type: 'DOWNLOAD_BEGIN', filename, mime: 'text/html' });
+      sendNext();
+    });
+  }
+
   async function downloadHtml(filename, html) {
+    try {
+      await downloadViaBackground(filename, html);
+      return;
+    } catch (e) {
+      // Only fall back when the download API itself could not be used; a cancelled dialog is the user's answer
+      if (e.final) throw e;
+      await log('warn', 'Background download failed, saving from the page instead:', String(e));
+    }
     try {
       const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
       const url = URL.createObjectURL(blob);
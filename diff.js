@@ -0,0 +1,108 @@
+// Diff page: compares two captures of one channel (from the library or from
+// JSON archive files) and shows which messages were added, deleted or edited.
+// diff.html?a=<older id>&b=<newer id> preselects library captures; with only
+// `b`, the previous capture of the same channel is picked as the older one.
+
+(function(){
+  const olderSelect = document.getElementById('older');
+  const newerSelect = document.getElementById('newer');
+  const olderFile = document.getElementById('olderFile');
+  const newerFile = document.getElementById('newerFile');
+  const compareBtn = document.getElementById('compare');
+  const exportHtmlBtn = document.getElementById('exportHtml');
+  const exportJsonBtn = document.getElementById('exportJson');
+  const status = document.getElementById('status');
+  const frame = document.getElementById('report');
+  let entries = [];
+  let report = null;
+  let sides = null;
+
+  function fillSelect(select, selectedId) {
+    select.textContent = '';
+    select.appendChild(option('', '— choose a capture —'));
+    for (const entry of entries) {
+      const label = `${formatTranscriptTimestamp(entry.capturedAt)} · ${entry.site || 'Chat'} / ${entry.channel || ''} · ${entry.messageCount ?? '?'} messages`;
+      select.appendChild(option(String(entry.id), label));
+    }
+    select.value = selectedId ? String(selectedId) : '';
+  }
+
+  // Archive-shaped { capture, messages } from the chosen file, or else from the library
+  async function loadSide(select, fileInput) {
+    const file = fileInput.files?.[0];
+    if (file) return parseJsonArchive(await file.text());
+    const id = Number(select.value);
+    if (!id) return null;
+    const data = await getCaptureData(id);
+    return data?.messages ? { capture: data.capture, messages: data.messages } : null;
+  }
+
+  async function compare() {
+    report = null;
+    sides = null;
+    exportHtmlBtn.disabled = exportJsonBtn.disabled = true;
+    try {
+      const [older, newer] = await Promise.all([loadSide(olderSelect, olderFile), loadSide(newerSelect, newerFile)]);
+      if (!older || !newer) { status.textContent = 'Choose two captures.'; return; }
+      report = diffCaptures(older, newer);
+      sides = { older, newer };
+    } catch (e) {
+      console.error('[ChatGrabber] Diff failed', e);
+      status.textContent = 'Could not compare: ' + (e?.message || e);
+      return;
+    }
+    const s = report.summary;
+    status.textContent = `${s.added} added, ${s.deleted} deleted, ${s.edited} edited` + (report.sameChannel ? '' : ' — warning: different channels');
+    frame.srcdoc = buildDiffHtml(report);
+    exportHtmlBtn.disabled = exportJsonBtn.disabled = false;
+  }
+
+  // Exports are redacted like every other export; both captures share one pseudonym table so
+  // "User A" is the same person on either side, and the diff is taken again on the redacted copies.
+  async function exportedReport() {
+    const { redaction } = await loadOptions();
+    if (!redaction.enabled) return report;
+    const { older, newer } = sides;
+    const names = [older.capture?.username, newer.capture?.username].filter(n => n && n !== 'username');
+    const pseudonyms = __sf_redaction.buildPseudonyms([...older.messages, ...newer.messages], names);
+    const redact = (side) => __sf_redaction.redactExport(side.capture, side.messages, redaction, pseudonyms);
+    return { ...diffCaptures(redact(older), redact(newer)), generatedAt: report.generatedAt };
+  }
+
+  async function saveReport(build, mime, ext) {
+    const out = await exportedReport();
+    const capture = sides.newer.capture || sides.older.capture || {};
+    const filename = await exportFilename(capture, { date: report.generatedAt, messageCount: report.newer.messageCount, format: 'diff', extension: `diff.${ext}` });
+    await saveBlob(new Blob([build(out)], { type: mime }), filename);
+  }
+
+  // The previous capture of the same channel, for diff.html?b=<id>
+  function previousCaptureOf(id) {
+    const newer = entries.find((e) => e.id === id);
+    if (!newer) return null;
+    return entries.find((e) => e.id !== id && e.channelKey === newer.channelKey && e.capturedAt < newer.capturedAt) || null;
+  }
+
+  compareBtn.addEventListener('click', compare);
+  exportHtmlBtn.addEventListener('click', () => report && saveReport(buildDiffHtml, 'text/html', 'html'));
+  exportJsonBtn.addEventListener('click', () => report && saveReport(buildDiffJson, 'application/json', 'json'));
+  for (const [select, input] of [[olderSelect, olderFile], [newerSelect, newerFile]]) {
+    // Picking one source clears the other so it is clear which one is compared
+    select.addEventListener('change', () => { input.value = ''; });
+    input.addEventListener('change', () => { if (input.files?.length) select.value = ''; });
+  }
+
+  (async () => {
+    entries = (await listCaptures()).filter((e) => e.hasMessages);
+    const params = new URLSearchParams(location.search);
+    const newerId = Number(params.get('b')) || null;
+    const olderId = Number(params.get('a')) || (newerId ? previousCaptureOf(newerId)?.id : null);
+    fillSelect(olderSelect, olderId);
+    fillSelect(newerSelect, newerId);
+    if (olderId && newerId) await compare();
+    else if (newerId) status.textContent = 'No earlier capture of this channel in the library; choose one or load a JSON archive.';
+  })().catch((e) => {
+    console.error('[ChatGrabber] Could not load library', e);
+    status.textContent = 'Could not open the capture library: ' + (e?.message || e);
+  });
+})();
@@ -0,0 +1,314 @@
+/*
+  Export formats: turns the structured message records harvested from a chat
+  into downloadable documents. Loaded by the background worker via
+  importScripts and by extension pages via <script>, so it must not touch
+  chrome.* APIs or the DOM.
+*/
+
+// Bump when the archive layout changes; add an upgrade step to upgradeArchive()
+const ARCHIVE_FORMAT = 'chatgrabber-archive';
+const ARCHIVE_SCHEMA_VERSION = 2;
+
+function buildJsonArchive(capture, messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const doc = {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: ARCHIVE_SCHEMA_VERSION,
+    capture: {
+      sourceUrl: capture?.sourceUrl || null,
+      sourceTitle: capture?.sourceTitle || null,
+      site: capture?.site || null,
+      channel: {
+        id: capture?.channel?.id || null,
+        guildId: capture?.channel?.guildId || null,
+        name: capture?.channel?.name || null,
+        serverName: capture?.channel?.serverName || null,
+        topic: capture?.channel?.topic || null,
+        type: capture?.channel?.type || null
+      },
+      username: capture?.username || null,
+      capturedAt: capture?.capturedAt || new Date().toISOString(),
+      extensionVersion: capture?.extensionVersion || null,
+      messageCount: list.length
+    },
+    messages: list
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+// Parse an archive produced by any version of the extension and bring it up to the current schema
+function parseJsonArchive(text) {
+  const doc = typeof text === 'string' ? JSON.parse(text) : text;
+  if (!doc || doc.format !== ARCHIVE_FORMAT) throw new Error('Not a ChatGrabber archive');
+  return upgradeArchive(doc);
+}
+
+function upgradeArchive(doc) {
+  const version = Number(doc.schemaVersion) || 0;
+  if (version > ARCHIVE_SCHEMA_VERSION) {
+    throw new Error(`Archive schema ${version} is newer than supported (${ARCHIVE_SCHEMA_VERSION})`);
+  }
+  // One step per version
+  if (version < 2) {
+    // v2: channel header details (server name, topic, dm/channel/thread/forum-post)
+    const channel = doc.capture?.channel || {};
+    if (doc.capture) doc.capture.channel = { serverName: null, topic: null, type: null, ...channel };
+  }
+  if (!Array.isArray(doc.messages)) doc.messages = [];
+  doc.schemaVersion = ARCHIVE_SCHEMA_VERSION;
+  return doc;
+}
+
+// Orders snowflake ids numerically; records without an id fall back to their timestamp
+function compareMessages(a, b) {
+  try {
+    if (a.id && b.id) {
+      const idA = BigInt(a.id);
+      const idB = BigInt(b.id);
+      if (idA !== idB) return idA < idB ? -1 : 1;
+      return 0;
+    }
+  } catch {}
+  return (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0);
+}
+
+// Union of two message lists keyed by id; the newer capture's copy of a message wins
+function mergeMessageLists(previous, next) {
+  const byId = new Map();
+  const withoutId = [];
+  for (const msg of [...(previous || []), ...(next || [])]) {
+    if (!msg) continue;
+    if (msg.id) byId.set(msg.id, msg);
+    else withoutId.push(msg);
+  }
+  return [...byId.values(), ...withoutId].sort(compareMessages);
+}
+
+// Local "YYYY-MM-DD HH:mm" for transcript lines
+function formatTranscriptTimestamp(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || isNaN(d.getTime())) return '????-??-?? ??:??';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function transcriptHeaderLines(capture, messages) {
+  const lines = [];
+  const channelName = capture?.channel?.name || capture?.sourceTitle || 'Chat';
+  lines.push(`${capture?.site || 'Chat'} - ${channelName}`);
+  if (capture?.channel?.serverName) lines.push(`Server: ${capture.channel.serverName}`);
+  if (capture?.channel?.topic) lines.push(`Topic: ${capture.channel.topic}`);
+  if (capture?.sourceUrl) lines.push(`Source: ${capture.sourceUrl}`);
+  lines.push(`Captured: ${formatTranscriptTimestamp(capture?.capturedAt || new Date().toISOString())}`);
+  lines.push(`Messages: ${messages.length}`);
+  return lines;
+}
+
+function buildTextTranscript(capture, messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const out = transcriptHeaderLines(capture, list);
+  out.push('');
+  for (const msg of list) {
+    if (msg.replyTo) {
+      out.push(`> ${msg.replyTo.authorName || 'unknown'}: ${(msg.replyTo.excerpt || '').replace(/\s*\n\s*/g, ' ')}`);
+    }
+    const edited = msg.edited ? ' (edited)' : '';
+    const [first, ...rest] = String(msg.content || '').split('\n');
+    out.push(`[${formatTranscriptTimestamp(msg.timestamp)}] ${msg.authorName || 'unknown'}: ${first}${edited}`);
+    for (const line of rest) out.push(`    ${line}`);
+    for (const att of msg.attachments || []) out.push(`    [attachment] ${att.filename || att.url} <${att.url}>`);
+    for (const emb of msg.embeds || []) {
+      if (emb.url || emb.title) out.push(`    [embed] ${emb.title || emb.url}${emb.url ? ` <${emb.url}>` : ''}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+function escapeMarkdown(text) {
+  return String(text || '').replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+function buildMarkdownTranscript(capture, messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const [title, ...meta] = transcriptHeaderLines(capture, list);
+  const out = [`# ${escapeMarkdown(title)}`, '', ...meta.map((l) => `_${escapeMarkdown(l)}_  `), ''];
+  for (const msg of list) {
+    if (msg.replyTo) {
+      out.push(`> **${escapeMarkdown(msg.replyTo.authorName || 'unknown')}:** ${escapeMarkdown((msg.replyTo.excerpt || '').replace(/\s*\n\s*/g, ' '))}`);
+      out.push('');
+    }
+    const edited = msg.edited ? ' _(edited)_' : '';
+    const body = String(msg.content || '').split('\n').map(escapeMarkdown).join('  \n');
+    out.push(`**[${formatTranscriptTimestamp(msg.timestamp)}] ${escapeMarkdown(msg.authorName || 'unknown')}:** ${body}${edited}`);
+    for (const att of msg.attachments || []) out.push(`- [${escapeMarkdown(att.filename || 'attachment')}](<${att.url}>)`);
+    for (const emb of msg.embeds || []) {
+      if (emb.url) out.push(`- [${escapeMarkdown(emb.title || emb.url)}](<${emb.url}>)`);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Keep spreadsheet apps from evaluating message text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsvExport(capture, messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const header = ['message_id', 'timestamp_iso', 'timestamp_epoch_ms', 'author_id', 'author_name', 'content', 'attachment_urls', 'reply_to_id', 'reactions'];
+  const rows = [header];
+  for (const msg of list) {
+    const epoch = msg.timestamp ? Date.parse(msg.timestamp) : NaN;
+    rows.push([
+      msg.id,
+      msg.timestamp,
+      isNaN(epoch) ? '' : epoch,
+      msg.authorId,
+      msg.authorName,
+      msg.content,
+      (msg.attachments || []).map((a) => a.url).join(' '),
+      msg.replyTo?.id,
+      (msg.reactions || []).map((r) => `${r.emoji} ${r.count}`).join('; ')
+    ]);
+  }
+  // BOM so Excel opens the file as UTF-8; CRLF line endings per RFC 4180
+  return '\ufeff' + rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---- Capture diff ----
+
+// Fields whose change marks a message as edited between two captures
+function messageFingerprint(msg) {
+  return JSON.stringify([
+    msg.content || '',
+    msg.editedTimestamp || null,
+    (msg.attachments || []).map((a) => a.url).sort(),
+    (msg.embeds || []).map((e) => e.url || e.title || '').sort()
+  ]);
+}
+
+function changedMessageFields(before, after) {
+  const fields = [];
+  if ((before.content || '') !== (after.content || '')) fields.push('content');
+  if ((before.editedTimestamp || null) !== (after.editedTimestamp || null)) fields.push('editedTimestamp');
+  if (JSON.stringify((before.attachments || []).map((a) => a.url).sort()) !== JSON.stringify((after.attachments || []).map((a) => a.url).sort())) fields.push('attachments');
+  if (JSON.stringify((before.embeds || []).map((e) => e.url || e.title || '').sort()) !== JSON.stringify((after.embeds || []).map((e) => e.url || e.title || '').sort())) fields.push('embeds');
+  return fields;
+}
+
+// Compares two captures of one channel by message id (the Discord snowflake).
+// Only the span both captures cover is compared: older messages outside the
+// newer capture's first..last message are not reported as deleted, and newer
+// messages outside the older capture's first..last (an incremental or
+// date-range capture, a stopped one) are not reported as added. Both are
+// counted as out of range instead.
+function diffCaptures(older, newer) {
+  const olderList = [...(older?.messages || [])].filter((m) => m?.id).sort(compareMessages);
+  const newerList = [...(newer?.messages || [])].filter((m) => m?.id).sort(compareMessages);
+  const olderById = new Map(olderList.map((m) => [m.id, m]));
+  const newerById = new Map(newerList.map((m) => [m.id, m]));
+  const newerFirst = newerList[0] || null;
+  const newerLast = newerList[newerList.length - 1] || null;
+  const olderFirst = olderList[0] || null;
+  const olderLast = olderList[olderList.length - 1] || null;
+
+  const added = [];
+  const deleted = [];
+  const edited = [];
+  let unchanged = 0;
+  let outOfRange = 0;
+  for (const msg of olderList) {
+    const next = newerById.get(msg.id);
+    if (!next) {
+      if (newerFirst && (compareMessages(msg, newerFirst) < 0 || compareMessages(msg, newerLast) > 0)) outOfRange++;
+      else deleted.push(msg);
+    } else if (messageFingerprint(msg) !== messageFingerprint(next)) {
+      edited.push({ before: msg, after: next, fields: changedMessageFields(msg, next) });
+    } else {
+      unchanged++;
+    }
+  }
+  for (const msg of newerList) {
+    if (olderById.has(msg.id)) continue;
+    if (olderFirst && (compareMessages(msg, olderFirst) < 0 || compareMessages(msg, olderLast) > 0)) outOfRange++;
+    else added.push(msg);
+  }
+
+  const describe = (doc, list) => ({
+    sourceUrl: doc?.capture?.sourceUrl || null,
+    channel: doc?.capture?.channel?.name || doc?.capture?.sourceTitle || null,
+    channelId: doc?.capture?.channel?.id || null,
+    capturedAt: doc?.capture?.capturedAt || null,
+    messageCount: list.length,
+    firstMessageId: list[0]?.id || null,
+    lastMessageId: list[list.length - 1]?.id || null
+  });
+  const olderInfo = describe(older, olderList);
+  const newerInfo = describe(newer, newerList);
+  return {
+    format: 'chatgrabber-diff',
+    generatedAt: new Date().toISOString(),
+    older: olderInfo,
+    newer: newerInfo,
+    sameChannel: !olderInfo.channelId || !newerInfo.channelId || olderInfo.channelId === newerInfo.channelId,
+    summary: { added: added.length, deleted: deleted.length, edited: edited.length, unchanged, outOfRange },
+    added,
+    deleted,
+    edited
+  };
+}
+
+function buildDiffJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Standalone HTML report with no scripts, so it can be archived next to the captures
+function buildDiffHtml(report) {
+  const line = (msg) => `<span class="meta">[${escapeHtml(formatTranscriptTimestamp(msg.timestamp))}] <b>${escapeHtml(msg.authorName || 'unknown')}</b> <small>#${escapeHtml(msg.id)}</small></span>`;
+  const body = (msg) => `<div class="content">${escapeHtml(msg.content || '')}${(msg.attachments || []).map((a) => `<div>📎 ${escapeHtml(a.filename || a.url)}</div>`).join('')}</div>`;
+  const section = (title, cls, items, render) => `<h2 class="${cls}">${escapeHtml(title)} (${items.length})</h2>` +
+    (items.length ? `<ol>${items.map((item) => `<li class="${cls}">${render(item)}</li>`).join('')}</ol>` : '<p class="none">None</p>');
+  const side = (label, info) => `<tr><th>${label}</th><td>${escapeHtml(info.channel || '')}</td><td>${escapeHtml(formatTranscriptTimestamp(info.capturedAt))}</td><td>${info.messageCount} messages</td><td>${escapeHtml(info.sourceUrl || '')}</td></tr>`;
+  const s = report.summary;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Capture diff - ${escapeHtml(report.newer.channel || report.older.channel || 'Chat')}</title>
+<style>
+body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; max-width: 1000px; margin: 0 auto; padding: 12px; background: #111; color: #ddd; }
+table { border-collapse: collapse; font-size: 13px; } th, td { text-align: left; padding: 4px 8px; }
+ol { list-style: none; padding: 0; } li { padding: 8px; margin: 6px 0; border-left: 4px solid #444; background: rgba(255,255,255,0.03); }
+.meta { color: #aaa; font-size: 12px; } .content { white-space: pre-wrap; word-wrap: break-word; margin-top: 4px; }
+h2.added, li.added { border-color: #3a7; } h2.deleted, li.deleted { border-color: #c44; } h2.edited, li.edited { border-color: #da3; }
+h2 { border-left: 4px solid #444; padding-left: 8px; font-size: 16px; }
+.before { color: #e99; text-decoration: line-through; } .after { color: #9e9; } .none { color: #888; } .warn { color: #fb6; }
+</style>
+</head>
+<body>
+<h1>Capture diff</h1>
+<table>${side('Older', report.older)}${side('Newer', report.newer)}</table>
+${report.sameChannel ? '' : '<p class="warn">The two captures are from different channels.</p>'}
+<p>${s.added} added, ${s.deleted} deleted, ${s.edited} edited, ${s.unchanged} unchanged${s.outOfRange ? `, ${s.outOfRange} outside the range both captures cover` : ''}. Generated ${escapeHtml(formatTranscriptTimestamp(report.generatedAt))}.</p>
+${section('Deleted', 'deleted', report.deleted, (m) => line(m) + body(m))}
+${section('Edited', 'edited', report.edited, (e) => line(e.after) + `<div class="meta">Changed: ${escapeHtml(e.fields.join(', '))}</div><div class="content before">${escapeHtml(e.before.content || '')}</div><div class="content after">${escapeHtml(e.after.content || '')}</div>`)}
+${section('Added', 'added', report.added, (m) => line(m) + body(m))}
+</body>
+</html>
+`;
+}
+
+// Structured formats the chat capture can be exported to, keyed by format id
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mime: 'application/json', build: buildJsonArchive },
+  txt: { label: 'Text (.txt)', extension: 'txt', mime: 'text/plain', build: buildTextTranscript },
+  md: { label: 'Markdown (.md)', extension: 'md', mime: 'text/markdown', build: buildMarkdownTranscript },
+  csv: { label: 'CSV (spreadsheet)', extension: 'csv', mime: 'text/csv', build: buildCsvExport }
+};
@@ -0,0 +1,72 @@
+/*
+  Filename templates: turns a template such as "{site}/{channel} - {date:YYYY-MM-DD}"
+  into a download path relative to the downloads folder ("/" starts a subfolder).
+  Loaded by the background worker via importScripts and by the options page for
+  its preview. Which template applies to a site is decided in settings.js.
+*/
+
+// Shown on the options page
+const FILENAME_TOKENS = {
+  site: 'Site name',
+  server: 'Server name (Discord servers; empty elsewhere)',
+  channel: 'Channel or conversation name',
+  username: 'Username of the conversation',
+  date: 'Capture time, e.g. {date:YYYY-MM-DD HH-mm-ss}; Z is the UTC offset',
+  msgcount: 'Number of messages saved (empty for page saves)',
+  format: 'Output format, e.g. mhtml or json',
+  n: 'Counter; raised until the name is unused'
+};
+
+// YYYY YY MM DD HH mm ss and Z (UTC±hh:mm) in local time
+function formatTemplateDate(date, pattern) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const tzMin = -date.getTimezoneOffset();
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    Z: `UTC${tzMin >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(tzMin) / 60))}:${pad(Math.abs(tzMin) % 60)}`
+  };
+  return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss|Z/g, (t) => parts[t]);
+}
+
+// One folder or file name: no characters Windows rejects, no leading/trailing separators or dots
+function sanitizeFilenameSegment(segment) {
+  return String(segment || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.\-_&]+|[\s.\-_&]+$/g, '')
+    .slice(0, 180)
+    .trim();
+}
+
+// ctx: { site, server, channel, username, date, messageCount, format, extension, n }
+// Without an {n} token, n > 1 is appended as " (n)" so callers can number any template
+function renderFilenameTemplate(template, ctx) {
+  const date = ctx.date ? new Date(ctx.date) : new Date();
+  const values = {
+    site: String(ctx.site || 'Website').replace(/^www\./i, ''),
+    server: ctx.server || '',
+    channel: ctx.channel || '',
+    username: ctx.username || 'username',
+    msgcount: ctx.messageCount != null ? String(ctx.messageCount) : '',
+    format: ctx.format || '',
+    n: String(ctx.n || 1)
+  };
+  const source = String(template || '');
+  const rendered = source.replace(/\{(\w+)(?::([^}]*))?\}/g, (match, name, arg) => {
+    const key = name.toLowerCase();
+    if (key === 'date') return formatTemplateDate(date, arg || 'YYYY-MM-DD');
+    // Values must not open subfolders of their own
+    return key in values ? values[key].replace(/[\\/]+/g, ' ') : match;
+  });
+  const segments = rendered.split('/').map(sanitizeFilenameSegment).filter(s => s && s !== '..');
+  if (!segments.length) segments.push('page');
+  if ((ctx.n || 1) > 1 && !/\{n\}/i.test(source)) segments[segments.length - 1] += ` (${ctx.n})`;
+  const path = segments.join('/');
+  return ctx.extension ? `${path}.${ctx.extension}` : path;
+}
@@ -0,0 +1,217 @@
+// Capture library page: lists everything stored by archive-store.js and lets
+// the user reopen, re-export or delete past captures.
+
+(function(){
+  const rows = document.getElementById('rows');
+  const empty = document.getElementById('empty');
+  const count = document.getElementById('count');
+  const recordingRows = document.getElementById('recordingRows');
+  const recordingEmpty = document.getElementById('recordingEmpty');
+  const recordingCount = document.getElementById('recordingCount');
+
+  function formatBytes(n) {
+    if (!n) return '';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+    return `${n.toFixed(i ? 1 : 0)} ${units[i]}`;
+  }
+
+  // The library keeps originals; what leaves it is redacted when the options say so (redaction.js)
+  async function buildExport(exporter, capture, messages) {
+    const { redaction } = await loadOptions();
+    const out = __sf_redaction.redactExport(capture, messages, redaction);
+    return { text: exporter.build(out.capture, out.messages), capture: out.capture };
+  }
+
+  async function reExport(entry, format) {
+    const exporter = EXPORT_FORMATS[format];
+    const data = await getCaptureData(entry.id);
+    if (!exporter || !data?.messages) return;
+    const blob = new Blob([(await buildExport(exporter, data.capture, data.messages)).text], { type: exporter.mime });
+    const capture = { site: entry.site, username: entry.username, ...data.capture };
+    const filename = await exportFilename(capture, { sourceUrl: entry.sourceUrl, date: entry.capturedAt, messageCount: data.messages.length, format, extension: exporter.extension });
+    await saveBlob(blob, filename);
+  }
+
+  async function saveFileAgain(entry) {
+    const data = await getCaptureData(entry.id);
+    if (!data?.blob) return;
+    await saveBlob(data.blob, entry.filename || `capture.${entry.format || 'bin'}`);
+  }
+
+  function renderRow(entry) {
+    const tr = el('tr');
+    tr.appendChild(el('td', null, entry.site || ''));
+    const channelCell = el('td');
+    if (entry.sourceUrl) {
+      const link = el('a', null, entry.channel || entry.sourceUrl);
+      link.href = entry.sourceUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      channelCell.appendChild(link);
+    } else {
+      channelCell.textContent = entry.channel || '';
+    }
+    tr.appendChild(channelCell);
+    tr.appendChild(el('td', null, entry.username || ''));
+    tr.appendChild(el('td', 'num', entry.messageCount == null ? '' : String(entry.messageCount)));
+    tr.appendChild(el('td', null, formatTranscriptTimestamp(entry.capturedAt)));
+    const fileCell = el('td', 'filename', entry.filename || '');
+    fileCell.title = [entry.savedPath || entry.filename, formatBytes(entry.sizeBytes)].filter(Boolean).join(' — ');
+    tr.appendChild(fileCell);
+    tr.appendChild(el('td', null, (entry.format || '').toUpperCase()));
+
+    const actions = el('td', 'actions');
+    const open = el('button', null, 'Open');
+    open.disabled = !entry.hasMessages;
+    open.title = entry.hasMessages ? 'Show the messages in the transcript viewer' : 'Only the saved file is stored for this capture';
+    open.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`transcript.html?capture=${entry.id}`) });
+    });
+    actions.appendChild(open);
+
+    const exportSelect = el('select');
+    exportSelect.appendChild(el('option', null, 'Re-export as…')).value = '';
+    for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) {
+      exportSelect.appendChild(el('option', null, exporter.label)).value = format;
+    }
+    exportSelect.disabled = !entry.hasMessages;
+    exportSelect.addEventListener('change', async () => {
+      const format = exportSelect.value;
+      exportSelect.value = '';
+      try { await reExport(entry, format); } catch (e) { console.warn('[ChatGrabber] Re-export failed:', e); }
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(exportSelect);
+
+    const diff = el('button', null, 'Compare');
+    diff.disabled = !entry.hasMessages;
+    diff.title = 'Show messages added, deleted or edited since the previous capture of this channel';
+    diff.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`diff.html?b=${entry.id}`) });
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(diff);
+
+    const save = el('button', null, 'Save file');
+    save.disabled = !entry.hasFile;
+    save.addEventListener('click', async () => {
+      try { await saveFileAgain(entry); } catch (e) { console.warn('[ChatGrabber] Save failed:', e); }
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(save);
+
+    const show = el('button', null, 'Show');
+    show.disabled = entry.downloadId == null;
+    show.title = entry.savedPath ? `Show ${entry.savedPath} in its folder` : 'Not downloaded, or saved before paths were recorded';
+    show.addEventListener('click', () => {
+      // Fails quietly when the file has since been moved or deleted
+      try { chrome.downloads.show(entry.downloadId); } catch (e) { console.warn('[ChatGrabber] Show failed:', e); }
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(show);
+
+    const del = el('button', 'danger', 'Delete');
+    del.addEventListener('click', async () => {
+      if (!confirm(`Delete the capture "${entry.channel || entry.filename || entry.id}" from the library? Files already saved to disk are not touched.`)) return;
+      try {
+        await deleteCapture(entry.id);
+        await render();
+      } catch (e) { console.warn('[ChatGrabber] Delete failed:', e); }
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(del);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  async function exportRecording(recording, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) return;
+    const messages = await getRecordedMessages(recording.id);
+    const capture = { ...recording.capture, capturedAt: recording.stoppedAt || new Date().toISOString() };
+    const blob = new Blob([(await buildExport(exporter, capture, messages)).text], { type: exporter.mime });
+    const source = { site: recording.site, username: recording.username, ...capture };
+    if (!source.channel?.name) source.channel = { ...source.channel, name: recording.channel };
+    const filename = await exportFilename(source, { sourceUrl: recording.sourceUrl, date: recording.startedAt, messageCount: messages.length, format, extension: exporter.extension });
+    await saveBlob(blob, filename);
+  }
+
+  function renderRecordingRow(recording) {
+    const tr = el('tr');
+    tr.appendChild(el('td', null, recording.site || ''));
+    const channelCell = el('td');
+    if (recording.sourceUrl) {
+      const link = el('a', null, recording.channel || recording.sourceUrl);
+      link.href = recording.sourceUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      channelCell.appendChild(link);
+    } else {
+      channelCell.textContent = recording.channel || '';
+    }
+    tr.appendChild(channelCell);
+    tr.appendChild(el('td', null, recording.username || ''));
+    tr.appendChild(el('td', 'num', String(recording.messageCount || 0)));
+    tr.appendChild(el('td', 'num', String(recording.editCount || 0)));
+    tr.appendChild(el('td', null, formatTranscriptTimestamp(recording.startedAt)));
+    tr.appendChild(el('td', null, recording.stoppedAt ? formatTranscriptTimestamp(recording.stoppedAt) : 'Recording…'));
+
+    const actions = el('td', 'actions');
+    const exportSelect = el('select');
+    exportSelect.appendChild(el('option', null, 'Export as…')).value = '';
+    for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) {
+      exportSelect.appendChild(el('option', null, exporter.label)).value = format;
+    }
+    exportSelect.addEventListener('change', async () => {
+      const format = exportSelect.value;
+      exportSelect.value = '';
+      try { await exportRecording(recording, format); } catch (e) { console.warn('[ChatGrabber] Recording export failed:', e); }
+    });
+    actions.appendChild(exportSelect);
+
+    const del = el('button', 'danger', 'Delete');
+    // Stop the recording in its tab first, otherwise it keeps writing into a deleted session
+    del.disabled = !recording.stoppedAt;
+    del.title = recording.stoppedAt ? '' : 'Stop the recording first';
+    del.addEventListener('click', async () => {
+      if (!confirm(`Delete the live recording of "${recording.channel || recording.id}"? Exported files are not touched.`)) return;
+      try {
+        await deleteRecording(recording.id);
+        await render();
+      } catch (e) { console.warn('[ChatGrabber] Delete failed:', e); }
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(del);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  async function renderRecordings() {
+    const recordings = await listRecordings();
+    recordingRows.textContent = '';
+    const frag = document.createDocumentFragment();
+    for (const recording of recordings) frag.appendChild(renderRecordingRow(recording));
+    recordingRows.appendChild(frag);
+    recordingEmpty.hidden = recordings.length > 0;
+    recordingCount.textContent = recordings.length ? `${recordings.length} recording${recordings.length === 1 ? '' : 's'}` : '';
+  }
+
+  async function render() {
+    await renderRecordings();
+    const entries = await listCaptures();
+    rows.textContent = '';
+    const frag = document.createDocumentFragment();
+    for (const entry of entries) frag.appendChild(renderRow(entry));
+    rows.appendChild(frag);
+    empty.hidden = entries.length > 0;
+    count.textContent = entries.length ? `${entries.length} capture${entries.length === 1 ? '' : 's'}` : '';
+  }
+
+  render().catch((e) => {
+    console.error('[ChatGrabber] Could not load library', e);
+    empty.hidden = false;
+    empty.textContent = 'Could not open the capture library: ' + (e?.message || e);
+  });
+})();
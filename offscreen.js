@@ -1,25 +1,42 @@
 // Runs in offscreen document context.
+// Offscreen documents only get chrome.runtime, so this side reassembles the
+// streamed Blob and hands an object URL back to the service worker, which
+// owns chrome.downloads.
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
 
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'offscreen-download') return;
-  let filename = 'download.bin';
   let mime = 'application/octet-stream';
-  const chunks = [];
-  port.onMessage.addListener(async (msg) => {
+  let chunks = [];
+  let url = null;
+  const release = () => {
+    if (url) URL.revokeObjectURL(url);
+    url = null;
+    chunks = [];
+  };
+  port.onMessage.addListener((msg) => {
     if (msg?.type === 'DOWNLOAD_BEGIN') {
-      filename = msg.filename || filename;
       mime = msg.mime || mime;
+      chunks = [];
     } else if (msg?.type === 'DOWNLOAD_CHUNK') {
-      const chunk = msg.chunk;
-      chunks.push(chunk);
+      // Wrap each chunk in its own Blob so the browser can page it out of memory
+      chunks.push(new Blob([base64ToBytes(msg.chunk)]));
+      port.postMessage({ type: 'DOWNLOAD_CHUNK_ACK', index: msg.index });
     } else if (msg?.type === 'DOWNLOAD_END') {
       const blob = new Blob(chunks, { type: mime });
-      const url = URL.createObjectURL(blob);
-      await chrome.downloads.download({ url, filename, saveAs: true });
-      setTimeout(() => URL.revokeObjectURL(url), 30000);
-      chunks.length = 0;
+      chunks = [];
+      url = URL.createObjectURL(blob);
+      port.postMessage({ type: 'DOWNLOAD_READY', url, size: blob.size });
+    } else if (msg?.type === 'DOWNLOAD_RELEASE') {
+      release();
+      port.disconnect();
     }
   });
+  port.onDisconnect.addListener(release);
 });
-
-
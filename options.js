@@ -0,0 +1,232 @@
+// Options page: edits the settings object defined in settings.js. The worker
+// reads it at the start of every capture, so changes apply to the next one.
+
+(function(){
+  const tuningHead = document.getElementById('tuningHead');
+  const tuning = document.getElementById('tuning');
+  const defaultFormat = document.getElementById('defaultFormat');
+  const extraFormats = document.getElementById('extraFormats');
+  const saveAs = document.getElementById('saveAs');
+  const conflictAction = document.getElementById('conflictAction');
+  const folder = document.getElementById('folder');
+  const folderPreview = document.getElementById('folderPreview');
+  const templates = document.getElementById('templates');
+  const templatePreview = document.getElementById('templatePreview');
+  const tokens = document.getElementById('tokens');
+  const redactEnabled = document.getElementById('redactEnabled');
+  const pseudonymize = document.getElementById('pseudonymize');
+  const masks = document.getElementById('masks');
+  const avatars = document.getElementById('avatars');
+  const patterns = document.getElementById('patterns');
+  const shortcuts = document.getElementById('shortcuts');
+  const editShortcuts = document.getElementById('editShortcuts');
+  const saveBtn = document.getElementById('save');
+  const resetBtn = document.getElementById('reset');
+  const status = document.getElementById('status');
+  // inputs[field][''] is the global value, inputs[field][siteId] the site override
+  const inputs = {};
+  // templateInputs[''] is the global filename template, templateInputs[siteId] the site's own
+  const templateInputs = {};
+
+  function setStatus(text, isError) {
+    status.textContent = text;
+    status.classList.toggle('error', !!isError);
+  }
+
+  function numberInput(field) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(field.min);
+    input.max = String(field.max);
+    return input;
+  }
+
+  function buildForm() {
+    const head = el('tr');
+    head.append(el('th', null, 'Setting'), el('th', null, 'Global'));
+    for (const label of Object.values(SETTINGS_SITES)) head.appendChild(el('th', null, label));
+    tuningHead.appendChild(head);
+    for (const [name, field] of Object.entries(CAPTURE_SETTING_FIELDS)) {
+      inputs[name] = {};
+      const tr = el('tr');
+      const labelCell = el('td', null, `${field.label} (${field.unit})`);
+      if (field.help) labelCell.append(el('br'), el('span', 'help', field.help));
+      tr.appendChild(labelCell);
+      for (const siteId of ['', ...Object.keys(SETTINGS_SITES)]) {
+        const input = numberInput(field);
+        inputs[name][siteId] = input;
+        const cell = el('td');
+        cell.appendChild(input);
+        tr.appendChild(cell);
+      }
+      tuning.appendChild(tr);
+    }
+    defaultFormat.appendChild(el('option', null, 'MHTML (page snapshot)')).value = 'mhtml';
+    for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) {
+      defaultFormat.appendChild(el('option', null, exporter.label)).value = format;
+      const label = el('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = format;
+      label.append(box, ` ${exporter.label}`);
+      extraFormats.appendChild(label);
+    }
+    for (const [siteId, label] of [['', 'Global'], ...Object.entries(SETTINGS_SITES)]) {
+      const input = document.createElement('input');
+      input.className = 'template';
+      input.addEventListener('input', updatePreview);
+      templateInputs[siteId] = input;
+      const tr = el('tr');
+      const cell = el('td');
+      cell.appendChild(input);
+      tr.append(el('td', null, label), cell);
+      templates.appendChild(tr);
+    }
+    for (const [name, help] of Object.entries(FILENAME_TOKENS)) {
+      const tr = el('tr');
+      tr.append(el('td', null, null), el('td', 'help', help));
+      tr.firstChild.appendChild(el('code', null, `{${name}}`));
+      tokens.appendChild(tr);
+    }
+    for (const [name, mask] of Object.entries(__sf_redaction.MASKS)) {
+      const label = el('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = name;
+      label.append(box, ` ${mask.label}`);
+      masks.appendChild(label);
+    }
+    // Empty site fields show what they inherit
+    for (const name of Object.keys(CAPTURE_SETTING_FIELDS)) {
+      inputs[name][''].addEventListener('input', () => {
+        for (const siteId of Object.keys(SETTINGS_SITES)) inputs[name][siteId].placeholder = inputs[name][''].value;
+      });
+    }
+  }
+
+  // Sample name for the global template (or the first site template being edited)
+  function updatePreview() {
+    for (const siteId of Object.keys(SETTINGS_SITES)) templateInputs[siteId].placeholder = templateInputs[''].value;
+    const siteId = Object.keys(SETTINGS_SITES).find(id => document.activeElement === templateInputs[id] && templateInputs[id].value.trim());
+    const template = (siteId && templateInputs[siteId].value) || templateInputs[''].value || DEFAULT_OPTIONS.filenameTemplate;
+    const sample = renderFilenameTemplate(template, { site: siteId === 'generic' ? 'example.com' : (SETTINGS_SITES[siteId] || 'Discord'), server: 'My Server', channel: 'general', username: 'someone', messageCount: 1234, format: 'json', extension: 'json' });
+    templatePreview.textContent = `Example: ${sample}`;
+  }
+
+  function fill(options) {
+    for (const name of Object.keys(CAPTURE_SETTING_FIELDS)) {
+      inputs[name][''].value = options.capture[name];
+      for (const siteId of Object.keys(SETTINGS_SITES)) {
+        const value = options.profiles[siteId]?.[name];
+        inputs[name][siteId].value = value == null ? '' : value;
+        inputs[name][siteId].placeholder = options.capture[name];
+      }
+    }
+    templateInputs[''].value = options.filenameTemplate;
+    for (const siteId of Object.keys(SETTINGS_SITES)) templateInputs[siteId].value = options.profiles[siteId]?.filenameTemplate || '';
+    updatePreview();
+    defaultFormat.value = options.defaultFormat;
+    for (const box of extraFormats.querySelectorAll('input[type=checkbox]')) box.checked = options.extraFormats.includes(box.value);
+    saveAs.value = options.download.saveAs ? 'ask' : 'auto';
+    conflictAction.value = options.download.conflictAction;
+    folder.value = options.download.folder || '';
+    updateFolderPreview();
+    redactEnabled.checked = !!options.redaction.enabled;
+    pseudonymize.checked = !!options.redaction.pseudonymize;
+    for (const box of masks.querySelectorAll('input[type=checkbox]')) box.checked = !!options.redaction.masks[box.value];
+    avatars.value = options.redaction.avatars;
+    patterns.value = options.redaction.patterns.join('\n');
+  }
+
+  function readValue(input, field) {
+    if (input.value === '') return null;
+    const n = Number(input.value);
+    if (!Number.isFinite(n) || n < field.min || n > field.max) {
+      throw new Error(`${field.label}: enter a number from ${field.min} to ${field.max}`);
+    }
+    return Math.round(n);
+  }
+
+  function read() {
+    const capture = {};
+    const profiles = {};
+    for (const [name, field] of Object.entries(CAPTURE_SETTING_FIELDS)) {
+      const global = readValue(inputs[name][''], field);
+      capture[name] = global == null ? DEFAULT_OPTIONS.capture[name] : global;
+      for (const siteId of Object.keys(SETTINGS_SITES)) {
+        const value = readValue(inputs[name][siteId], field);
+        if (value == null) continue;
+        profiles[siteId] = profiles[siteId] || {};
+        profiles[siteId][name] = value;
+      }
+    }
+    for (const siteId of Object.keys(SETTINGS_SITES)) {
+      const template = templateInputs[siteId].value.trim();
+      if (!template) continue;
+      profiles[siteId] = profiles[siteId] || {};
+      profiles[siteId].filenameTemplate = template;
+    }
+    const patternList = patterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+    for (const source of patternList) {
+      try { new RegExp(source, 'gi'); } catch (e) { throw new Error(`Redaction pattern ${source}: ${e.message}`); }
+    }
+    return {
+      capture,
+      profiles,
+      filenameTemplate: templateInputs[''].value.trim() || DEFAULT_OPTIONS.filenameTemplate,
+      defaultFormat: defaultFormat.value,
+      extraFormats: Array.from(extraFormats.querySelectorAll('input[type=checkbox]:checked')).map(box => box.value),
+      download: { saveAs: saveAs.value === 'ask', conflictAction: conflictAction.value, folder: folder.value.trim().replace(/^\/+|\/+$/g, '') },
+      redaction: {
+        enabled: redactEnabled.checked,
+        pseudonymize: pseudonymize.checked,
+        masks: Object.fromEntries(Array.from(masks.querySelectorAll('input[type=checkbox]')).map(box => [box.value, box.checked])),
+        patterns: patternList,
+        avatars: avatars.value
+      }
+    };
+  }
+
+  function updateFolderPreview() {
+    const template = folder.value.trim();
+    folderPreview.textContent = template
+      ? `Example: ${renderFilenameTemplate(template, { site: 'Discord', server: 'My Server', channel: 'general', username: 'someone', messageCount: 1234, format: 'mhtml' })}/`
+      : '';
+  }
+
+  folder.addEventListener('input', updateFolderPreview);
+
+  async function renderShortcuts() {
+    shortcuts.textContent = '';
+    for (const command of await chrome.commands.getAll()) {
+      if (!command.description) continue;
+      const tr = el('tr');
+      tr.append(el('td', null, command.description), el('td', null, command.shortcut || 'Not set'));
+      shortcuts.appendChild(tr);
+    }
+  }
+
+  editShortcuts.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  // Coming back from the shortcuts page
+  window.addEventListener('focus', () => { renderShortcuts().catch(() => {}); });
+
+  saveBtn.addEventListener('click', async () => {
+    try {
+      await saveOptions(read());
+      setStatus('Saved. The next capture uses these settings.');
+    } catch (e) {
+      setStatus(e.message || String(e), true);
+    }
+  });
+
+  resetBtn.addEventListener('click', () => {
+    fill(normalizeOptions(null));
+    setStatus('Defaults restored in the form; press Save to keep them.');
+  });
+
+  buildForm();
+  renderShortcuts().catch(() => {});
+  loadOptions().then(fill).catch(e => setStatus(`Could not load the options: ${e.message || e}`, true));
+})();
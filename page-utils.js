@@ -0,0 +1,63 @@
+/*
+  Helpers shared by the extension pages. Loaded with a <script> tag before the
+  page's own script; the export helpers also need settings.js and
+  filename-template.js on the page.
+*/
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function option(value, label) {
+  const opt = document.createElement('option');
+  opt.value = value;
+  opt.textContent = label;
+  return opt;
+}
+
+// <input type="date"> values are local calendar days
+function dayBoundary(value, endOfDay) {
+  if (!value) return null;
+  const [y, m, d] = value.split('-').map(Number);
+  return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime();
+}
+
+// Settings profile of the page a capture came from (the worker asks the site adapter instead)
+function siteIdForUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    if (/(^|\.)discord\.com$/i.test(hostname)) return 'discord';
+    if (/chat-?avenue/i.test(hostname)) return 'chatavenue';
+  } catch {}
+  return 'generic';
+}
+
+// Same folder, template and pseudonym rule as buildCaptureFilename in the worker, so exports
+// from the pages land next to the auto-saved files. Chrome numbers taken names (conflictAction).
+async function exportFilename(capture, { sourceUrl, date, messageCount, format, extension }) {
+  const options = await loadOptions();
+  const siteId = siteIdForUrl(sourceUrl || capture?.sourceUrl);
+  const folder = String(options.download.folder || '').trim();
+  const template = folder ? `${folder}/${filenameTemplateFor(options, siteId)}` : filenameTemplateFor(options, siteId);
+  const channel = capture?.channel;
+  const ctx = { site: capture?.site, username: capture?.username, server: channel?.serverName, channel: channel?.name, date, messageCount, format, extension };
+  if (options.redaction.enabled && options.redaction.pseudonymize) {
+    ctx.username = 'redacted';
+    if (channel?.type === 'dm' || channel?.scope) ctx.channel = 'redacted';
+  }
+  return renderFilenameTemplate(template, ctx);
+}
+
+async function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const { download } = await loadOptions();
+    await chrome.downloads.download({ url, filename, saveAs: download.saveAs, conflictAction: download.conflictAction });
+  } finally {
+    // The download keeps its own reference once started
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+}
@@ -0,0 +1,58 @@
+// Date-range capture page (range.html?tab=<id>): asks the worker to capture the
+// chat in that tab, keeping only messages sent between the chosen days.
+
+(function(){
+  const tabId = Number(new URLSearchParams(location.search).get('tab')) || null;
+  const sourceTab = document.getElementById('sourceTab');
+  const fromInput = document.getElementById('from');
+  const toInput = document.getElementById('to');
+  const formatSelect = document.getElementById('format');
+  const captureBtn = document.getElementById('capture');
+  const status = document.getElementById('status');
+
+  function setStatus(text, isError) {
+    status.textContent = text;
+    status.classList.toggle('error', !!isError);
+  }
+
+  formatSelect.appendChild(option('mhtml', 'MHTML (page snapshot)'));
+  for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) formatSelect.appendChild(option(format, exporter.label));
+  loadOptions().then((options) => { formatSelect.value = options.defaultFormat; }).catch(() => {});
+
+  async function describeSourceTab() {
+    try {
+      if (!tabId) throw new Error('no tab');
+      const tab = await chrome.tabs.get(tabId);
+      sourceTab.textContent = `“${tab.title || tab.url}”`;
+    } catch {
+      sourceTab.textContent = 'the chat tab (not available — open this page from the chat tab\'s menu)';
+      captureBtn.disabled = true;
+    }
+  }
+
+  async function capture() {
+    const range = { from: dayBoundary(fromInput.value, false), to: dayBoundary(toInput.value, true) };
+    if (range.from == null && range.to == null) {
+      setStatus('Choose a start or end day', true);
+      return;
+    }
+    if (range.from != null && range.to != null && range.from > range.to) {
+      setStatus('The start day is after the end day', true);
+      return;
+    }
+    captureBtn.disabled = true;
+    setStatus('Capturing… keep the chat tab in front until it finishes.');
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'SF_CAPTURE_RANGE', tabId, format: formatSelect.value, range });
+      if (!res?.ok) throw new Error(res?.error || 'No response');
+      setStatus(res.messageCount === 0 ? 'No messages in that date range.' : `Captured ${res.messageCount ?? ''} messages into ${res.filename}.`);
+    } catch (e) {
+      setStatus(`Capture failed: ${e.message || e}`, true);
+    } finally {
+      captureBtn.disabled = false;
+    }
+  }
+
+  captureBtn.addEventListener('click', capture);
+  describeSourceTab();
+})();
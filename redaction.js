@@ -0,0 +1,290 @@
+/*
+  Redaction: pseudonymizes authors and masks personal data in what a capture
+  writes out. Loaded by the background worker via importScripts, by extension
+  pages via <script>, and injected into every frame of the chat tab before an
+  MHTML snapshot (see redactPageForCapture in background.js), so everything
+  hangs off one registry: globalThis.__sf_redaction.
+
+  settings (the options' `redaction` object):
+    enabled        apply redaction at all
+    pseudonymize   replace author names and ids with "User A", "User B", ...
+    masks          { emails, ips, phones } booleans, see MASKS
+    patterns       extra regular expressions (source strings, matched case-insensitively)
+    avatars        'keep' | 'blur' | 'drop'; structured exports drop the avatar URL for blur and
+                   drop, and also for keep while pseudonymizing (avatar URLs carry user ids)
+
+  Pseudonyms are handed out in order of first appearance in the exported
+  messages, so one person keeps the same label throughout one export.
+*/
+
+(function (root) {
+  // Injected again before every snapshot; the first registry (and its undo list) wins
+  if (root.__sf_redaction) return;
+
+  // Applied in this order: IP addresses before phone numbers so dotted quads are not read as digits
+  const MASKS = {
+    emails: {
+      label: 'Email addresses',
+      pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+      replacement: '[email]'
+    },
+    ips: {
+      label: 'IP addresses',
+      pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}\b/g,
+      replacement: '[ip]'
+    },
+    phones: {
+      label: 'Phone numbers',
+      pattern: /(?<![\w+])\+?\(?\d[\d ().-]{6,}\d(?![\w])/g,
+      replacement: '[phone]',
+      // 8-15 digits, and not a date like 2024-01-05 or 05.01.2024
+      accept: (match) => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 8 && digits <= 15 && !/^\d{4}-\d{1,2}-\d{1,2}$/.test(match) && !/^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(match);
+      }
+    }
+  };
+
+  const AVATAR_SELECTOR = 'img[class*="avatar" i], [class*="avatar" i] img, img.avav';
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA']);
+  const REDACTED_ATTRIBUTES = ['aria-label', 'title', 'alt'];
+
+  function pseudonymLabel(index) {
+    let letters = '';
+    let n = index;
+    do {
+      letters = String.fromCharCode(65 + (n % 26)) + letters;
+      n = Math.floor(n / 26) - 1;
+    } while (n >= 0);
+    return `User ${letters}`;
+  }
+
+  // [[name or id, label], ...] for every author, reply author and user mention, in order of first appearance.
+  // extraNames (e.g. the DM partner from the page header) get labels after the message authors.
+  function buildPseudonyms(messages, extraNames) {
+    const byKey = new Map();
+    const pairs = [];
+    let next = 0;
+    const labelFor = (keys) => {
+      const known = keys.find(k => byKey.has(k));
+      const label = known ? byKey.get(known) : pseudonymLabel(next++);
+      for (const k of keys) {
+        if (!byKey.has(k)) {
+          byKey.set(k, label);
+          pairs.push([k, label]);
+        }
+      }
+      return label;
+    };
+    const nameKey = (name) => {
+      const n = String(name || '').replace(/^@/, '').trim();
+      return n.length >= 2 ? n.toLowerCase() : null;
+    };
+    for (const msg of messages || []) {
+      if (!msg) continue;
+      const keys = [msg.authorId ? `id:${msg.authorId}` : null, nameKey(msg.authorName)].filter(Boolean);
+      if (keys.length) labelFor(keys);
+      const replyKey = nameKey(msg.replyTo?.authorName);
+      if (replyKey) labelFor([replyKey]);
+      for (const mention of msg.mentions || []) {
+        const key = mention.type === 'user' ? nameKey(mention.text) : null;
+        if (key) labelFor([key]);
+      }
+    }
+    for (const name of extraNames || []) {
+      const key = nameKey(name);
+      if (key) labelFor([key]);
+    }
+    return pairs;
+  }
+
+  // Compiled form of settings + pseudonyms, shared by text, message and page redaction
+  function buildPlan(settings, pseudonyms) {
+    const byId = new Map();
+    const byName = new Map();
+    if (settings.pseudonymize) {
+      for (const [key, label] of pseudonyms || []) {
+        if (key.startsWith('id:')) byId.set(key.slice(3), label);
+        else byName.set(key, label);
+      }
+    }
+    // Longest names first so "Ann Marie" wins over "Ann"
+    const names = Array.from(byName.keys()).sort((a, b) => b.length - a.length);
+    const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const namePattern = names.length ? new RegExp(`(?<![\\p{L}\\p{N}_])@?(?:${names.map(escape).join('|')})(?![\\p{L}\\p{N}_])`, 'giu') : null;
+    const masks = Object.entries(MASKS).filter(([name]) => settings.masks?.[name]).map(([, mask]) => mask);
+    const custom = [];
+    for (const source of settings.patterns || []) {
+      try { custom.push(new RegExp(source, 'gi')); } catch (e) { console.warn('[ChatGrabber] Skipping invalid redaction pattern:', source); }
+    }
+    return { byId, byName, namePattern, masks, custom, avatars: settings.avatars || 'keep', pseudonymize: !!settings.pseudonymize };
+  }
+
+  function redactText(text, plan) {
+    if (text == null || text === '') return text;
+    let out = String(text);
+    if (plan.namePattern) {
+      out = out.replace(plan.namePattern, (match) => {
+        const label = plan.byName.get(match.replace(/^@/, '').toLowerCase());
+        return label ? (match.startsWith('@') ? `@${label}` : label) : match;
+      });
+    }
+    for (const mask of plan.masks) {
+      out = out.replace(mask.pattern, (match) => (!mask.accept || mask.accept(match) ? mask.replacement : match));
+    }
+    for (const pattern of plan.custom) out = out.replace(pattern, '[redacted]');
+    return out;
+  }
+
+  function pseudonymFor(plan, id, name) {
+    if (id && plan.byId.has(String(id))) return plan.byId.get(String(id));
+    const key = String(name || '').replace(/^@/, '').trim().toLowerCase();
+    return plan.byName.get(key) || null;
+  }
+
+  function redactMessage(msg, plan) {
+    if (!msg) return msg;
+    const label = pseudonymFor(plan, msg.authorId, msg.authorName);
+    return {
+      ...msg,
+      authorId: label && msg.authorId ? label : msg.authorId,
+      authorName: label || redactText(msg.authorName, plan),
+      avatarUrl: plan.avatars === 'keep' && !plan.pseudonymize ? msg.avatarUrl : null,
+      content: redactText(msg.content, plan),
+      mentions: (msg.mentions || []).map(m => ({ ...m, text: redactText(m.text, plan) })),
+      embeds: (msg.embeds || []).map(e => ({ ...e, title: redactText(e.title, plan), description: redactText(e.description, plan), author: redactText(e.author, plan) })),
+      replyTo: msg.replyTo ? { ...msg.replyTo, authorName: pseudonymFor(plan, null, msg.replyTo.authorName) || redactText(msg.replyTo.authorName, plan), excerpt: redactText(msg.replyTo.excerpt, plan) } : msg.replyTo,
+      ...(Array.isArray(msg.revisions) ? { revisions: msg.revisions.map(r => ({ ...r, content: redactText(r.content, plan) })) } : {})
+    };
+  }
+
+  // Redacted copies of a capture header and its messages for the structured exporters.
+  // pseudonyms (buildPseudonyms) is passed when several captures must share one set of labels.
+  function redactExport(capture, messages, settings, pseudonyms) {
+    if (!settings?.enabled) return { capture, messages };
+    // 'username' is what getSiteAndUsername reports when it found nobody
+    const plan = buildPlan(settings, pseudonyms || buildPseudonyms(messages, [capture?.username].filter(n => n && n !== 'username')));
+    const channel = capture?.channel ? { ...capture.channel, name: redactText(capture.channel.name, plan), topic: redactText(capture.channel.topic, plan) } : capture?.channel;
+    return {
+      capture: capture && {
+        ...capture,
+        sourceTitle: redactText(capture.sourceTitle, plan),
+        channel,
+        username: capture.username ? (pseudonymFor(plan, null, capture.username) || redactText(capture.username, plan)) : capture.username
+      },
+      messages: (messages || []).map(msg => redactMessage(msg, plan))
+    };
+  }
+
+  // -------- In-page (MHTML) ---------
+  // Every change is remembered so restoreDocument() can put the live page back after the snapshot
+
+  let undo = [];
+
+  function setText(node, value) {
+    const old = node.nodeValue;
+    if (old === value) return;
+    undo.push(() => { node.nodeValue = old; });
+    node.nodeValue = value;
+  }
+
+  function setAttr(el, name, value) {
+    const old = el.getAttribute(name);
+    if (old === value) return;
+    undo.push(() => { if (old == null) el.removeAttribute(name); else el.setAttribute(name, old); });
+    if (value == null) el.removeAttribute(name);
+    else el.setAttribute(name, value);
+  }
+
+  // The avatar re-encoded as a data URL, so its address (which carries the user id) stays out of the
+  // saved file. blur: a few pixels scaled back up, so nothing recognizable survives. Cross-origin
+  // images without CORS taint the canvas and get the flat placeholder instead.
+  function avatarDataUrl(img, blur) {
+    return new Promise((resolve) => {
+      const probe = new Image();
+      probe.crossOrigin = 'anonymous';
+      const placeholder = () => resolve(null);
+      probe.onload = () => {
+        try {
+          const out = document.createElement('canvas');
+          out.width = out.height = 64;
+          const ctx = out.getContext('2d');
+          ctx.imageSmoothingEnabled = true;
+          if (blur) {
+            const small = document.createElement('canvas');
+            small.width = small.height = 4;
+            small.getContext('2d').drawImage(probe, 0, 0, 4, 4);
+            ctx.filter = 'blur(6px)';
+            ctx.drawImage(small, 0, 0, 64, 64);
+          } else {
+            ctx.drawImage(probe, 0, 0, 64, 64);
+          }
+          resolve(out.toDataURL('image/png'));
+        } catch {
+          placeholder();
+        }
+      };
+      probe.onerror = placeholder;
+      setTimeout(placeholder, 3000);
+      probe.src = img.currentSrc || img.src;
+    });
+  }
+
+  const AVATAR_PLACEHOLDER = 'data:image/svg+xml,' + encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64"><circle cx="32" cy="32" r="32" fill="#777"/></svg>');
+
+  async function redactDocument(doc, settings, pseudonyms) {
+    const plan = buildPlan(settings, pseudonyms);
+    let changed = 0;
+    const walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement && SKIP_TAGS.has(node.parentElement.tagName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const texts = [];
+    while (walker.nextNode()) texts.push(walker.currentNode);
+    for (const node of texts) {
+      const value = redactText(node.nodeValue, plan);
+      if (value !== node.nodeValue) { setText(node, value); changed++; }
+    }
+    const title = redactText(doc.title, plan);
+    if (title !== doc.title) {
+      const old = doc.title;
+      undo.push(() => { doc.title = old; });
+      doc.title = title;
+      changed++;
+    }
+    const selector = REDACTED_ATTRIBUTES.map(a => `[${a}]`).join(',');
+    for (const el of doc.querySelectorAll(selector)) {
+      for (const name of REDACTED_ATTRIBUTES) {
+        const old = el.getAttribute(name);
+        if (old == null) continue;
+        const value = redactText(old, plan);
+        if (value !== old) { setAttr(el, name, value); changed++; }
+      }
+    }
+    // Kept avatars are still re-encoded while pseudonymizing: their URLs name the user
+    if (plan.avatars !== 'keep' || plan.pseudonymize) {
+      // The same few avatars repeat on every message; encode each picture once
+      const encoded = new Map();
+      for (const img of doc.querySelectorAll(AVATAR_SELECTOR)) {
+        const key = img.currentSrc || img.src;
+        if (plan.avatars !== 'drop' && !encoded.has(key)) encoded.set(key, avatarDataUrl(img, plan.avatars === 'blur'));
+        const src = plan.avatars !== 'drop' ? (await encoded.get(key)) || AVATAR_PLACEHOLDER : AVATAR_PLACEHOLDER;
+        setAttr(img, 'srcset', null);
+        setAttr(img, 'src', src);
+        if (plan.avatars === 'drop') setAttr(img, 'style', `${img.getAttribute('style') || ''};visibility:hidden`);
+        changed++;
+      }
+    }
+    return { ok: true, changed };
+  }
+
+  function restoreDocument() {
+    const steps = undo;
+    undo = [];
+    for (let i = steps.length - 1; i >= 0; i--) {
+      try { steps[i](); } catch {}
+    }
+    return { ok: true, restored: steps.length };
+  }
+
+  root.__sf_redaction = { MASKS, buildPseudonyms, buildPlan, redactText, redactExport, redactDocument, restoreDocument };
+})(globalThis);
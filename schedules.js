@@ -0,0 +1,116 @@
+// Scheduled captures page: adds, pauses, runs and removes periodic captures.
+// The schedules live in storage (SCHEDULES_KEY in background.js); changes go
+// through the worker so it can keep the matching alarms in sync.
+// schedules.html?tab=<id> prefills the form with that tab's URL.
+
+(function(){
+  const SCHEDULES_KEY = 'sf_schedules';
+  const tabId = Number(new URLSearchParams(location.search).get('tab')) || null;
+  const urlInput = document.getElementById('url');
+  const nameInput = document.getElementById('name');
+  const everyInput = document.getElementById('everyHours');
+  const formatSelect = document.getElementById('format');
+  const saveFileInput = document.getElementById('saveFile');
+  const addBtn = document.getElementById('add');
+  const formStatus = document.getElementById('formStatus');
+  const rows = document.getElementById('rows');
+  const empty = document.getElementById('empty');
+
+  function formatLabel(format) {
+    return format === 'mhtml' ? 'MHTML' : (EXPORT_FORMATS[format]?.label || format);
+  }
+
+  function setFormStatus(text, isError) {
+    formStatus.textContent = text;
+    formStatus.classList.toggle('error', !!isError);
+  }
+
+  async function send(message) {
+    const res = await chrome.runtime.sendMessage(message);
+    if (!res?.ok) throw new Error(res?.error || 'No response');
+    return res;
+  }
+
+  formatSelect.appendChild(el('option', null, 'MHTML (page snapshot)')).value = 'mhtml';
+  for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) formatSelect.appendChild(el('option', null, exporter.label)).value = format;
+  loadOptions().then((options) => { formatSelect.value = options.defaultFormat; }).catch(() => {});
+
+  async function prefillFromTab() {
+    if (!tabId) return;
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      urlInput.value = tab.url || '';
+      nameInput.value = tab.title || '';
+    } catch {}
+  }
+
+  async function add() {
+    try {
+      await send({
+        type: 'SF_SCHEDULE_SAVE',
+        schedule: { url: urlInput.value.trim(), name: nameInput.value.trim(), everyHours: Number(everyInput.value), format: formatSelect.value, saveFile: saveFileInput.checked, enabled: true }
+      });
+      setFormStatus('Schedule added.');
+    } catch (e) {
+      setFormStatus(`Could not add: ${e.message || e}`, true);
+    }
+  }
+
+  function renderRow(schedule) {
+    const tr = el('tr');
+    const cell = el('td', 'url');
+    const link = el('a', null, schedule.name || schedule.url);
+    link.href = schedule.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = schedule.url;
+    cell.appendChild(link);
+    tr.appendChild(cell);
+    tr.appendChild(el('td', null, `${schedule.everyHours} h`));
+    tr.appendChild(el('td', null, formatLabel(schedule.format) + (schedule.saveFile ? ' + file' : '')));
+    tr.appendChild(el('td', null, schedule.enabled && schedule.nextRunAt ? formatTranscriptTimestamp(new Date(schedule.nextRunAt).toISOString()) : 'Paused'));
+    const last = schedule.lastRun;
+    tr.appendChild(el('td', null, last ? formatTranscriptTimestamp(last.finishedAt || last.startedAt) : 'Never'));
+    let result = '';
+    if (last?.status === 'ok') result = last.messageCount === 0 ? 'No new messages' : `${last.messageCount ?? '?'} new messages`;
+    else if (last) result = last.error || last.status;
+    const resultCell = el('td', last ? `status-${last.status}` : null, result);
+    if (last?.filename) resultCell.title = last.path || last.filename;
+    tr.appendChild(resultCell);
+
+    const actions = el('td', 'actions');
+    const runNow = el('button', null, 'Run now');
+    runNow.disabled = last?.status === 'running';
+    runNow.addEventListener('click', () => send({ type: 'SF_SCHEDULE_RUN_NOW', id: schedule.id }).catch(e => setFormStatus(String(e.message || e), true)));
+    actions.appendChild(runNow);
+
+    const toggle = el('button', null, schedule.enabled ? 'Pause' : 'Resume');
+    toggle.addEventListener('click', () => send({ type: 'SF_SCHEDULE_SAVE', schedule: { ...schedule, enabled: !schedule.enabled } }).catch(e => setFormStatus(String(e.message || e), true)));
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(toggle);
+
+    const del = el('button', 'danger', 'Delete');
+    del.addEventListener('click', () => {
+      if (!confirm(`Stop scheduling captures of "${schedule.name || schedule.url}"? Captures already in the library are kept.`)) return;
+      send({ type: 'SF_SCHEDULE_DELETE', id: schedule.id }).catch(e => setFormStatus(String(e.message || e), true));
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(del);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  function render(schedules) {
+    rows.textContent = '';
+    for (const schedule of schedules) rows.appendChild(renderRow(schedule));
+    empty.hidden = schedules.length > 0;
+  }
+
+  addBtn.addEventListener('click', add);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SCHEDULES_KEY]) render(changes[SCHEDULES_KEY].newValue || []);
+  });
+
+  prefillFromTab();
+  chrome.storage.local.get(SCHEDULES_KEY).then(({ [SCHEDULES_KEY]: schedules }) => render(schedules || []));
+})();
@@ -0,0 +1,90 @@
+// Search page: queries the inverted index in archive-store.js and links each
+// hit to the message in the transcript viewer.
+
+(function(){
+  const form = document.getElementById('form');
+  const fields = ['query', 'author', 'channel', 'from', 'to', 'hasAttachment'].reduce((acc, id) => {
+    acc[id] = document.getElementById(id);
+    return acc;
+  }, {});
+  const status = document.getElementById('status');
+  const results = document.getElementById('results');
+  const RESULT_LIMIT = 500;
+  let searchSeq = 0;
+  let debounceTimer = null;
+
+  // Wraps every word that starts with a query term in <mark>, without ever parsing message text as HTML
+  function appendHighlighted(parent, text, terms) {
+    if (!terms.length) { parent.textContent = text; return; }
+    const fold = (s) => s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const part of String(text).split(/([\p{L}\p{N}]+)/u)) {
+      if (part && terms.some((t) => fold(part).startsWith(t))) parent.appendChild(el('mark', null, part));
+      else if (part) parent.appendChild(document.createTextNode(part));
+    }
+  }
+
+  function renderResult({ entry, message }, terms) {
+    const li = el('li');
+    const link = el('a', 'result');
+    link.href = chrome.runtime.getURL(`transcript.html?capture=${entry.id}#msg-${encodeURIComponent(message.id || '')}`);
+    link.target = '_blank';
+    const meta = el('div', 'meta');
+    meta.appendChild(el('span', 'author', message.authorName || 'unknown'));
+    meta.appendChild(document.createTextNode(` · ${formatTranscriptTimestamp(message.timestamp)} · ${entry.site || 'Chat'} / ${entry.channel || ''}`));
+    if ((message.attachments || []).length) meta.appendChild(document.createTextNode(` · 📎 ${message.attachments.length}`));
+    link.appendChild(meta);
+    const content = el('div', 'content');
+    const text = message.content || (message.attachments || []).map((a) => a.filename || a.url).join(', ');
+    appendHighlighted(content, text, terms);
+    link.appendChild(content);
+    li.appendChild(link);
+    return li;
+  }
+
+  async function runSearch() {
+    const seq = ++searchSeq;
+    const filters = {
+      query: fields.query.value,
+      author: fields.author.value,
+      channel: fields.channel.value,
+      from: dayBoundary(fields.from.value, false),
+      to: dayBoundary(fields.to.value, true),
+      hasAttachment: fields.hasAttachment.checked,
+      limit: RESULT_LIMIT
+    };
+    const terms = tokenizeForSearch(filters.query);
+    const anyFilter = terms.length || filters.author.trim() || filters.channel.trim() || filters.from != null || filters.to != null || filters.hasAttachment;
+    if (!anyFilter) {
+      results.textContent = '';
+      status.textContent = 'Type a word or set a filter.';
+      return;
+    }
+    status.textContent = 'Searching…';
+    let hits;
+    try {
+      hits = await searchCaptures(filters);
+    } catch (e) {
+      console.error('[ChatGrabber] Search failed', e);
+      if (seq === searchSeq) status.textContent = 'Search failed: ' + (e?.message || e);
+      return;
+    }
+    // A newer search started while this one was reading the database
+    if (seq !== searchSeq) return;
+    results.textContent = '';
+    const frag = document.createDocumentFragment();
+    for (const hit of hits) frag.appendChild(renderResult(hit, terms));
+    results.appendChild(frag);
+    status.textContent = hits.length >= RESULT_LIMIT
+      ? `Showing the first ${RESULT_LIMIT} messages; narrow the search to see more.`
+      : `${hits.length} message${hits.length === 1 ? '' : 's'} found.`;
+  }
+
+  function scheduleSearch() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSearch, 250);
+  }
+
+  form.addEventListener('input', scheduleSearch);
+  form.addEventListener('submit', (ev) => { ev.preventDefault(); runSearch(); });
+  runSearch();
+})();
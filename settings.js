@@ -0,0 +1,96 @@
+/*
+  Settings: capture tuning, output formats, file names, downloads and redaction chosen on
+  the options page. Loaded by the background worker via importScripts and by
+  extension pages via <script>. Everything is one object in chrome.storage.local
+  under OPTIONS_KEY; missing fields fall back to DEFAULT_OPTIONS.
+*/
+
+const OPTIONS_KEY = 'sf_options';
+
+// Per-site profiles are keyed by site adapter id (see site-adapters.js)
+const SETTINGS_SITES = { discord: 'Discord', chatavenue: 'Chat Avenue', generic: 'Other sites' };
+
+// label, unit and bounds are used by the options page
+const CAPTURE_SETTING_FIELDS = {
+  maxMessages: { label: 'Max messages per capture', unit: 'messages', min: 0, max: 1000000, help: '0 = no limit. A date-range start date replaces this limit.' },
+  settleMs: { label: 'Settle time after each scroll', unit: 'ms', min: 200, max: 30000, help: 'How long the page has to be quiet before the next scroll step.' },
+  bumpAfter: { label: 'Extra scroll nudge after', unit: 'stuck scrolls', min: 1, max: 100 },
+  giveUpAfter: { label: 'Give up after', unit: 'stuck scrolls', min: 1, max: 500 },
+  topChecks: { label: 'Confirm the start of history', unit: 'times', min: 1, max: 20 },
+  imageWaitMs: { label: 'Wait for images in captured messages', unit: 'ms', min: 0, max: 120000 },
+  preloadWaitMs: { label: 'Wait for other page images', unit: 'ms', min: 0, max: 120000 }
+};
+
+const DEFAULT_OPTIONS = {
+  capture: {
+    maxMessages: 10000,
+    settleMs: 1200,
+    bumpAfter: 2,
+    giveUpAfter: 5,
+    topChecks: 2,
+    imageWaitMs: 2000,
+    preloadWaitMs: 1500
+  },
+  // { [siteId]: { ...any subset of capture, filenameTemplate? } }
+  profiles: {},
+  // See filename-template.js for the tokens; "/" saves into a subfolder of the downloads folder
+  filenameTemplate: '{site} - {username} - {date:YYYY-MM-DD HH-mm-ss} & {date:Z}',
+  // Preselected format on the batch, date-range and schedule pages ('mhtml' or an EXPORT_FORMATS key)
+  defaultFormat: 'mhtml',
+  // Structured formats saved next to every MHTML chat capture
+  extraFormats: [],
+  // saveAs: false is auto-save (no dialog). folder is a filename template for the subfolder tree
+  // inside the downloads folder, e.g. 'ChatGrabber/{site}/{channel}'; empty saves at the top level
+  download: { saveAs: true, conflictAction: 'uniquify', folder: '' },
+  // Applied to every chat capture written out; see redaction.js. The library keeps the originals.
+  redaction: {
+    enabled: false,
+    pseudonymize: true,
+    masks: { emails: true, ips: true, phones: true },
+    patterns: [],
+    avatars: 'blur'
+  }
+};
+
+function normalizeOptions(stored) {
+  const o = stored || {};
+  return {
+    ...DEFAULT_OPTIONS,
+    ...o,
+    capture: { ...DEFAULT_OPTIONS.capture, ...(o.capture || {}) },
+    profiles: { ...(o.profiles || {}) },
+    extraFormats: Array.isArray(o.extraFormats) ? o.extraFormats : [],
+    download: { ...DEFAULT_OPTIONS.download, ...(o.download || {}) },
+    redaction: {
+      ...DEFAULT_OPTIONS.redaction,
+      ...(o.redaction || {}),
+      masks: { ...DEFAULT_OPTIONS.redaction.masks, ...(o.redaction?.masks || {}) },
+      patterns: Array.isArray(o.redaction?.patterns) ? o.redaction.patterns : []
+    }
+  };
+}
+
+async function loadOptions() {
+  const { [OPTIONS_KEY]: stored } = await chrome.storage.local.get(OPTIONS_KEY);
+  return normalizeOptions(stored);
+}
+
+async function saveOptions(options) {
+  await chrome.storage.local.set({ [OPTIONS_KEY]: normalizeOptions(options) });
+}
+
+// Global capture settings overlaid with the site's profile; out-of-range values are clamped
+function captureSettingsFor(options, siteId) {
+  const merged = { ...DEFAULT_OPTIONS.capture, ...options.capture, ...(options.profiles[siteId] || {}) };
+  const settings = {};
+  for (const [name, field] of Object.entries(CAPTURE_SETTING_FIELDS)) {
+    const n = Number(merged[name]);
+    settings[name] = Number.isFinite(n) ? Math.min(field.max, Math.max(field.min, Math.round(n))) : DEFAULT_OPTIONS.capture[name];
+  }
+  return settings;
+}
+
+// The site's own template if it has one, else the global one
+function filenameTemplateFor(options, siteId) {
+  return String(options.profiles[siteId]?.filenameTemplate || '').trim() || String(options.filenameTemplate || '').trim() || DEFAULT_OPTIONS.filenameTemplate;
+}
@@ -0,0 +1,700 @@
+/*
+  Site adapters: everything the chat capture needs to know about one chat
+  site's DOM. Injected into the page (isolated world) before the capture
+  functions in background.js run. Supporting another platform means
+  registering one more adapter here; the scrolling, buffering and export code
+  stays shared. Pages no adapter claims fall back to the generic adapter.
+
+  An adapter provides:
+    id, name                 identifier and display name
+    matches(url)             true for pages of this site (URL or Location)
+    findScroller()           the element that scrolls the message history
+    findMessageContainer()   the element whose children are the rendered messages
+    listMessageNodes()       message elements currently in the DOM
+    extractMessage(el)       structured record (see "JSON archive format" in the README)
+    isAtStartOfHistory()     true once the beginning of the conversation is rendered
+    findHeader()             the intro shown above the first message (profile, channel), or null
+    getChannelInfo()         { id, guildId, name, scope? } of the open conversation; `scope`
+                             tells apart conversations that share one URL (e.g. private chats)
+  and may override the defaults in baseAdapter (getKey, getOrder, getMessageId,
+  timestampFromId, isPlaceholder, countMessages, isBatchLoadLog, prepareMedia,
+  resolveImageUrl, listConversations). `fallback: true` marks an adapter that is only used when
+  no other one matches.
+
+  The file is injected into every frame. Chats embedded in iframes are
+  captured in the frame whose adapter finds a message container (see
+  probeChatFrame / findChatFrame in background.js).
+*/
+
+(function (root) {
+  // Injected again before every capture step; the first registry wins
+  if (root.__sf_siteAdapters) return;
+
+  const adapters = [];
+
+  function isScrollable(el) {
+    if (!el) return false; const cs = getComputedStyle(el); const canY = /(auto|scroll)/.test(cs.overflowY); return canY && el.scrollHeight > el.clientHeight;
+  }
+  function findScrollableAncestor(el) {
+    let n = el; while (n && n !== document.documentElement) { if (isScrollable(n)) return n; n = n.parentElement; } return null;
+  }
+  // First candidate that scrolls (itself or an ancestor), else the page itself
+  function firstScrollable(candidates) {
+    for (const el of candidates.filter(Boolean)) { const s = isScrollable(el) ? el : findScrollableAncestor(el); if (s) return s; }
+    if (isScrollable(document.scrollingElement)) return document.scrollingElement;
+    return document.documentElement;
+  }
+  function cleanText(node) {
+    // Strip UI chrome (hover timestamps, "(edited)", buttons, screen-reader labels) and keep emoji as text
+    const copy = node.cloneNode(true);
+    copy.querySelectorAll('time, button, [class*="edited"], [class*="hiddenVisually"], [class*="timestamp"]').forEach(n => n.remove());
+    copy.querySelectorAll('img').forEach(img => img.replaceWith(document.createTextNode(img.getAttribute('alt') || '')));
+    return (copy.textContent || '').replace(/\u200b/g, '').trim();
+  }
+  function absUrl(u) {
+    try { return u ? new URL(u, location.href).href : null; } catch { return null; }
+  }
+
+  // Defaults for every adapter; methods are called as adapter.method() so `this` is the adapter
+  const baseAdapter = {
+    countMessages() {
+      return this.listMessageNodes().length;
+    },
+    getKey(el, idx) {
+      return el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id') || el.getAttribute('aria-labelledby') || `sf-key-${idx}-${(el.textContent||'').slice(0,40)}`;
+    },
+    // BigInt epoch ms used to sort messages chronologically
+    getOrder(el, idx) {
+      try {
+        // Priority 1: Extract timestamp from time element (most accurate)
+        const t = el.querySelector('time[datetime]');
+        if (t && t.getAttribute('datetime')) {
+          const timestamp = Date.parse(t.getAttribute('datetime'));
+          if (!isNaN(timestamp) && timestamp > 0) {
+            return BigInt(timestamp);
+          }
+        }
+
+        // Priority 2: Timestamp encoded in the site's message id
+        const id = this.getMessageId(el);
+        const fromId = id ? this.timestampFromId(id) : null;
+        if (fromId && fromId > 0 && fromId < Date.now() + 86400000) {
+          return BigInt(fromId);
+        }
+
+        // Fallback: use the ID number directly if it's a reasonable timestamp
+        const idAttr = el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id');
+        const m2 = idAttr && String(idAttr).match(/(\d{6,})/);
+        if (m2) {
+          const idNum = BigInt(m2[1]);
+          // If it looks like a timestamp (after year 2000), use it
+          if (idNum > 946684800000n) { // 2000-01-01
+            return idNum;
+          }
+        }
+      } catch {}
+      // Fallback: use sequence number with large offset to ensure it's at the end
+      return BigInt(Date.now() + idx);
+    },
+    getMessageId() {
+      return null;
+    },
+    timestampFromId() {
+      return null;
+    },
+    isPlaceholder(el) {
+      const role = el.getAttribute('role');
+      if (role === 'progressbar') return true;
+      if (el.getAttribute('aria-busy') === 'true') return true;
+      const cls = el.className || '';
+      if (/skeleton|placeholder|spinner|loading/i.test(cls)) return true;
+      // Check for empty or minimal content
+      const textContent = (el.textContent || '').trim();
+      if (!textContent && !el.querySelector('img, video, iframe, embed')) return true;
+      const hasContent = !!el.querySelector('img, video, time, a, span, p, article, div[class*="message"], div[class*="content"]');
+      if (!hasContent && textContent === '') return true;
+      if (el.querySelector('[class*="skeleton"], [class*="loading"], [class*="spinner"]')) return true;
+      return false;
+    },
+    findHeader() {
+      return null;
+    },
+    isAtStartOfHistory() {
+      return false;
+    },
+    getChannelInfo() {
+      return { id: null, guildId: null, name: document.title || null };
+    },
+    // Console output that announces a freshly loaded batch of older messages
+    isBatchLoadLog() {
+      return false;
+    },
+    // Fix up media in the message container before a snapshot (e.g. swap previews for originals)
+    prepareMedia() {},
+    resolveImageUrl(img, src) {
+      return src;
+    },
+    // Other conversations linked from the page (sidebar), as [{ url, name, type }], for batch captures
+    listConversations() {
+      return [];
+    }
+  };
+
+  function registerSiteAdapter(adapter) {
+    const full = Object.assign(Object.create(baseAdapter), adapter);
+    const existing = adapters.findIndex(a => a.id === full.id);
+    if (existing >= 0) adapters.splice(existing, 1, full);
+    else adapters.push(full);
+    return full;
+  }
+
+  function getSiteAdapter(url) {
+    let u;
+    try { u = new URL(typeof url === 'string' ? url : url.href); } catch { return null; }
+    const matching = adapters.filter(a => { try { return a.matches(u); } catch { return false; } });
+    return matching.find(a => !a.fallback) || matching[0] || null;
+  }
+
+  // ---- Generic (any page with an ARIA log or <article> messages) ----
+
+  registerSiteAdapter({
+    id: 'generic',
+    name: 'Chat',
+    fallback: true,
+    matches() {
+      return true;
+    },
+    findScroller() {
+      return firstScrollable([
+        document.querySelector('[role="log"]'),
+        document.querySelector('[role="feed"]'),
+        document.querySelector('main div[class*="scroller"]'),
+        document.querySelector('main')
+      ]);
+    },
+    findMessageContainer() {
+      return document.querySelector('[role="log"]') || document.querySelector('[role="feed"]');
+    },
+    listMessageNodes() {
+      const container = this.findMessageContainer();
+      return Array.from((container || document).querySelectorAll('article, [role="article"], [data-message-id]'));
+    },
+    getMessageId(el) {
+      return el.getAttribute('data-message-id') || null;
+    },
+    extractMessage(el) {
+      const t = el.querySelector('time[datetime]');
+      const datetime = t && t.getAttribute('datetime');
+      return {
+        id: this.getMessageId(el),
+        channelId: null,
+        authorId: null,
+        authorName: null,
+        avatarUrl: null,
+        timestamp: datetime && !isNaN(Date.parse(datetime)) ? new Date(datetime).toISOString() : null,
+        edited: false,
+        editedTimestamp: null,
+        content: cleanText(el),
+        mentions: [],
+        attachments: Array.from(el.querySelectorAll('img[src]')).map(img => absUrl(img.getAttribute('src'))).filter(u => u && !u.startsWith('data:')).map(url => ({ url, filename: '', kind: 'image' })),
+        embeds: [],
+        reactions: [],
+        replyTo: null
+      };
+    }
+  });
+
+  // ---- Discord ----
+
+  function snowflakeToIso(id) {
+    try { return new Date(Number((BigInt(id) >> 22n) + 1420070400000n)).toISOString(); } catch { return null; }
+  }
+  // Parse a Discord message <li> into a plain record (the structured model every export builds on)
+  function extractMessageRecord(el) {
+    try {
+      const idAttr = el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id') || '';
+      const ids = String(idAttr).match(/\d{17,}/g) || [];
+      const id = ids.length ? ids[ids.length - 1] : null;
+      const channelId = ids.length > 1 ? ids[0] : null;
+      const byId = (prefix) => id ? el.querySelector(`[id="${prefix}${id}"]`) : el.querySelector(`[id^="${prefix}"]`);
+
+      // Grouped follow-up messages have no header; the author comes from the message that started the group
+      let headerEl = null;
+      for (let n = el, i = 0; n && i < 50; n = n.previousElementSibling, i++) {
+        if (n.querySelector && n.querySelector('[id^="message-username-"]')) { headerEl = n; break; }
+      }
+      let authorName = null, authorId = null, avatarUrl = null;
+      if (headerEl) {
+        const userEl = headerEl.querySelector('[id^="message-username-"] [class*="username"]') || headerEl.querySelector('[id^="message-username-"]');
+        authorName = userEl ? (userEl.getAttribute('data-text') || userEl.textContent || '').trim() || null : null;
+        const replyCtx = headerEl.querySelector('[id^="message-reply-context-"]');
+        const avatar = Array.from(headerEl.querySelectorAll('img[class*="avatar"]')).find(img => !replyCtx || !replyCtx.contains(img));
+        avatarUrl = avatar ? absUrl(avatar.getAttribute('src') || avatar.src) : null;
+        const m = avatarUrl && avatarUrl.match(/\/users\/(\d+)\/|\/avatars\/(\d+)\//);
+        if (m) authorId = m[1] || m[2];
+      }
+
+      const timeEl = byId('message-timestamp-');
+      const datetime = timeEl && timeEl.getAttribute('datetime');
+      const timestamp = datetime && !isNaN(Date.parse(datetime)) ? new Date(datetime).toISOString() : (id ? snowflakeToIso(id) : null);
+      const editedEl = byId('message-edited-timestamp-');
+      const editedAt = editedEl && editedEl.getAttribute('datetime');
+
+      const contentEl = byId('message-content-');
+      const content = contentEl ? cleanText(contentEl) : '';
+      const mentions = contentEl ? Array.from(contentEl.querySelectorAll('[class*="mention"]')).map(m => {
+        const href = m.getAttribute('href') || '';
+        const type = /channelMention/.test(m.className || '') || href.includes('/channels/') ? 'channel' : 'user';
+        return { type, text: (m.textContent || '').trim() };
+      }).filter(m => m.text) : [];
+
+      const accessories = byId('message-accessories-');
+      const attachments = [];
+      const seenUrls = new Set();
+      if (accessories) {
+        const addAttachment = (url, kind) => {
+          url = absUrl(url);
+          if (!url || seenUrls.has(url) || url.startsWith('data:') || url.startsWith('blob:')) return;
+          seenUrls.add(url);
+          let filename = '';
+          try { filename = decodeURIComponent(new URL(url).pathname.split('/').pop() || ''); } catch {}
+          attachments.push({ url, filename, kind });
+        };
+        accessories.querySelectorAll('a[class*="originalLink"], a[class*="fileNameLink"], a[href*="/attachments/"]').forEach(a => {
+          if (a.closest('article[class*="embed"]')) return;
+          const href = a.getAttribute('href') || '';
+          addAttachment(href, /\.(png|jpe?g|gif|webp|avif|bmp)(\?|$)/i.test(href) ? 'image' : /\.(mp4|webm|mov)(\?|$)/i.test(href) ? 'video' : 'file');
+        });
+        accessories.querySelectorAll('video').forEach(v => {
+          if (!v.closest('article[class*="embed"]')) addAttachment(v.getAttribute('src') || v.currentSrc, 'video');
+        });
+      }
+
+      const embeds = accessories ? Array.from(accessories.querySelectorAll('article[class*="embed"]')).map(art => {
+        const q = (sel) => art.querySelector(sel);
+        const titleEl = q('[class*="embedTitle"]');
+        const titleLink = titleEl && (titleEl.closest('a') || titleEl.querySelector('a'));
+        const media = q('[class*="embedImage"] img, [class*="embedThumbnail"] img, [class*="embedVideo"] img');
+        return {
+          title: titleEl ? cleanText(titleEl) : null,
+          description: q('[class*="embedDescription"]') ? cleanText(q('[class*="embedDescription"]')) : null,
+          url: titleLink ? absUrl(titleLink.getAttribute('href')) : (q('a[href]') ? absUrl(q('a[href]').getAttribute('href')) : null),
+          author: q('[class*="embedAuthorName"]') ? cleanText(q('[class*="embedAuthorName"]')) : null,
+          provider: q('[class*="embedProvider"]') ? cleanText(q('[class*="embedProvider"]')) : null,
+          imageUrl: media ? absUrl(media.getAttribute('src')) : null
+        };
+      }) : [];
+
+      const reactionsEl = byId('message-reactions-');
+      const reactions = reactionsEl ? Array.from(reactionsEl.querySelectorAll('[class*="reactionInner"], [role="button"]')).map(r => {
+        const countEl = r.querySelector('[class*="reactionCount"]');
+        if (!countEl) return null;
+        const img = r.querySelector('img');
+        const emoji = img ? (img.getAttribute('alt') || '') : (r.querySelector('[class*="emoji"]')?.textContent || '').trim();
+        return { emoji, emojiUrl: img ? absUrl(img.getAttribute('src')) : null, count: parseInt(countEl.textContent, 10) || 0 };
+      }).filter(Boolean) : [];
+      const seenReactions = new Set();
+      const uniqueReactions = reactions.filter(r => { const k = r.emoji + '|' + r.emojiUrl; if (seenReactions.has(k)) return false; seenReactions.add(k); return true; });
+
+      let replyTo = null;
+      const replyCtx = byId('message-reply-context-');
+      if (replyCtx) {
+        const repliedContent = replyCtx.querySelector('[id^="message-content-"]');
+        const replyIdMatch = repliedContent && repliedContent.id.match(/\d{17,}/);
+        const replyUser = replyCtx.querySelector('[class*="username"]');
+        replyTo = {
+          id: replyIdMatch ? replyIdMatch[0] : null,
+          authorName: replyUser ? (replyUser.textContent || '').replace(/^@/, '').trim() || null : null,
+          excerpt: repliedContent ? cleanText(repliedContent) : null
+        };
+      }
+
+      return {
+        id,
+        channelId,
+        authorId,
+        authorName,
+        avatarUrl,
+        timestamp,
+        edited: !!editedEl,
+        editedTimestamp: editedAt && !isNaN(Date.parse(editedAt)) ? new Date(editedAt).toISOString() : null,
+        content,
+        mentions,
+        attachments,
+        embeds,
+        reactions: uniqueReactions,
+        replyTo
+      };
+    } catch (e) {
+      console.warn('[ChatGrabber] Error extracting message record:', e);
+      return null;
+    }
+  }
+
+  // Start of history is detected from structure only, so it works in every Discord language:
+  //  - the intro block Discord renders above the first message (DM profile, "Welcome to #channel",
+  //    thread starter, forum post title) is the only non-message row with a heading or big avatar;
+  //  - while older messages can still load, the top of the list is a skeleton/spinner row instead;
+  //  - a thread's starter message has the thread's own id, and no message predates its channel.
+  const DISCORD_INTRO_SELECTOR = '[class*="emptyChannel"], [class*="channelStart"], [class*="threadStarter"], [class*="startOfThread"], [class*="forumPostStart"], [class*="forumPost"][class*="header"], [class*="emptyState"]';
+
+  function isDiscordGuildPage() {
+    return /\/channels\/\d+\//.test(location.pathname);
+  }
+
+  function discordMessageList() {
+    return document.querySelector('ol[data-list-id="chat-messages"]') || document.querySelector('[role="log"]');
+  }
+
+  function isDiscordMessageRow(el) {
+    return /^chat-messages-/.test(el.id || '') || /^chat-messages/.test(el.getAttribute('data-list-item-id') || '');
+  }
+
+  function isDiscordLoadingRow(el) {
+    const cls = String(el.className || '');
+    return el.getAttribute('role') === 'progressbar' || el.getAttribute('aria-busy') === 'true' ||
+      /skeleton|placeholder|spinner|loading/i.test(cls) ||
+      !!el.querySelector('[class*="skeleton"], [class*="spinner"], [role="progressbar"], [aria-busy="true"]');
+  }
+
+  function hasLargeAvatar(el) {
+    return Array.from(el.querySelectorAll('img[class*="avatar" i], [class*="avatar" i] img, svg[class*="avatar" i]')).some(img => {
+      try { const r = img.getBoundingClientRect(); return r.width > 64 && r.height > 64; } catch { return false; }
+    });
+  }
+
+  // The rows above the first message, in order, until the first message row
+  function discordRowsBeforeFirstMessage() {
+    const list = discordMessageList();
+    if (!list) return [];
+    const rows = [];
+    for (const child of Array.from(list.children)) {
+      if (isDiscordMessageRow(child)) break;
+      rows.push(child);
+    }
+    return rows;
+  }
+
+  // The intro block at the top of a DM, server channel, thread or forum post, or null
+  function findDiscordChannelStart() {
+    for (const row of discordRowsBeforeFirstMessage()) {
+      if (isDiscordLoadingRow(row)) continue;
+      if (row.matches(DISCORD_INTRO_SELECTOR) || row.querySelector(DISCORD_INTRO_SELECTOR)) return row;
+      if (row.querySelector('h1, h2, h3') || hasLargeAvatar(row)) return row;
+    }
+    return null;
+  }
+
+  function firstRenderedMessageId() {
+    const list = discordMessageList();
+    const first = list && Array.from(list.children).find(isDiscordMessageRow);
+    const ids = first ? String(first.getAttribute('data-list-item-id') || first.id).match(/\d{17,}/g) : null;
+    return ids ? ids[ids.length - 1] : null;
+  }
+
+  function isDiscordStartOfHistory() {
+    try {
+      const before = discordRowsBeforeFirstMessage();
+      // More history is still being fetched
+      if (before.some(isDiscordLoadingRow)) return false;
+      if (findDiscordChannelStart()) {
+        console.log('[ChatGrabber] Found the conversation intro - at top');
+        return true;
+      }
+      // Threads: the starter message shares the thread's id; nothing can be older than the channel itself
+      const channelId = (location.pathname.match(/\/channels\/(?:@me|\d+)\/(\d+)/) || [])[1];
+      const firstId = firstRenderedMessageId();
+      if (channelId && firstId && BigInt(firstId) <= BigInt(channelId)) {
+        console.log('[ChatGrabber] First message is the channel/thread starter - at top');
+        return true;
+      }
+    } catch (e) {
+      console.warn('[ChatGrabber] Error checking if at top:', e);
+    }
+    return false;
+  }
+
+  // The intro above the first message: the DM profile, or the channel welcome / thread starter in servers
+  function findDiscordHeader() {
+    const start = findDiscordChannelStart();
+    if (start) {
+      console.log('[ChatGrabber] Found conversation intro at the top of the list');
+      return start;
+    }
+    if (isDiscordGuildPage()) return null;
+    // DMs: the profile intro may sit outside the list in some layouts; climb from a large avatar
+    const largeAvatar = Array.from(document.querySelectorAll('img[class*="avatar" i]')).find(img => {
+      try { const r = img.getBoundingClientRect(); return r.width > 80 && r.height > 80; } catch { return false; }
+    });
+    if (largeAvatar) {
+      const list = discordMessageList();
+      let node = largeAvatar;
+      for (let i = 0; i < 15 && node.parentElement; i++) {
+        if (node.parentElement === list || node.parentElement.querySelector('[id^="chat-messages-"]')) break;
+        node = node.parentElement;
+      }
+      if (!isDiscordMessageRow(node)) {
+        console.log('[ChatGrabber] Found profile header via large avatar');
+        return node;
+      }
+    }
+    console.warn('[ChatGrabber] Could not find the conversation intro');
+    return null;
+  }
+
+  registerSiteAdapter({
+    id: 'discord',
+    name: 'Discord',
+    matches(url) {
+      return /(^|\.)discord\.com$/i.test(url.hostname) && url.pathname.startsWith('/channels/');
+    },
+    findScroller() {
+      return firstScrollable([
+        document.querySelector('.messagesWrapper__36d07 .scroller__36d07'),
+        document.querySelector('div[class*="messagesWrapper"] div[class*="scroller"]'),
+        document.querySelector('[data-list-id="chat-messages"]'),
+        document.querySelector('[role="log"]'),
+        document.querySelector('main div[class*="scroller"]')
+      ]);
+    },
+    findMessageContainer() {
+      return document.querySelector('ol[data-list-id="chat-messages"]') || document.querySelector('[role="log"]');
+    },
+    countMessages() {
+      const list = document.querySelector('[data-list-id="chat-messages"]');
+      if (list) return list.querySelectorAll('li').length;
+      const log = document.querySelector('[role="log"]');
+      if (log) return log.querySelectorAll('[id^="chat-messages-"], [data-list-item-id^="chat-messages"], article').length;
+      return document.querySelectorAll('article, [data-list-item-id^="chat-messages"]').length;
+    },
+    listMessageNodes() {
+      const nodes = [];
+      const list = document.querySelector('ol[data-list-id="chat-messages"]'); if (list) nodes.push(...list.querySelectorAll(':scope > li'));
+      const log = document.querySelector('[role="log"]'); if (log) nodes.push(...log.querySelectorAll('[id^="chat-messages-"], [data-list-item-id^="chat-messages"], article'));
+      if (!list && !log) nodes.push(...document.querySelectorAll('article, [data-list-item-id^="chat-messages"]'));
+      return Array.from(new Set(nodes));
+    },
+    // li ids look like chat-messages-<channelId>-<messageId>
+    getMessageId(el) {
+      const ids = String(el.getAttribute('data-list-item-id') || el.id || el.getAttribute('data-message-id') || '').match(/\d{17,}/g);
+      return ids ? ids[ids.length - 1] : null;
+    },
+    // Discord snowflake: (id >> 22) + 1420070400000
+    timestampFromId(id) {
+      try { return Number((BigInt(id) >> 22n) + 1420070400000n); } catch { return null; }
+    },
+    extractMessage: extractMessageRecord,
+    isAtStartOfHistory: isDiscordStartOfHistory,
+    findHeader: findDiscordHeader,
+    // URLs look like /channels/<guildId|@me>/<channelId>; titles like "Discord | #general | Server"
+    getChannelInfo() {
+      const m = location.pathname.match(/\/channels\/(@me|\d+)\/(\d+)/);
+      const guildId = m && m[1] !== '@me' ? m[1] : null;
+      const titleParts = (document.title || '').split(' | ').map(s => s.trim()).filter(Boolean);
+      const titleBar = document.querySelector('section[class*="title"]');
+      const headerTitle = document.querySelector('section[class*="title"] h1, [class*="titleWrapper"] h1');
+      const name = (titleParts.length > 1 ? titleParts[1] : '') || (headerTitle ? (headerTitle.textContent || '').trim() : '') || null;
+      if (!guildId) return { id: m ? m[2] : null, guildId: null, name, serverName: null, topic: null, type: 'dm' };
+      // Server name: the guild sidebar header, else the last title segment
+      const guildHeader = document.querySelector('nav[aria-label$="(server)"] header h1, nav[aria-label*="server" i] header [class*="name"], [class*="guildSidebar"] header h1');
+      const serverName = (guildHeader ? (guildHeader.textContent || '').trim() : '') || (titleParts.length > 2 ? titleParts[titleParts.length - 1] : '') || null;
+      const topicEl = titleBar && titleBar.querySelector('[class*="topic"]');
+      const topic = topicEl ? (topicEl.textContent || '').trim() || null : null;
+      const start = findDiscordChannelStart();
+      const startCls = start ? String(start.className || '') + ' ' + Array.from(start.querySelectorAll('[class]')).slice(0, 20).map(n => n.className).join(' ') : '';
+      const threadIcon = titleBar && titleBar.querySelector('[class*="thread" i], [aria-label*="thread" i]');
+      const type = /forumPost/i.test(startCls) ? 'forum-post' : (/thread/i.test(startCls) || threadIcon) ? 'thread' : 'channel';
+      return { id: m[2], guildId, name, serverName, topic, type };
+    },
+    isBatchLoadLog(text) {
+      return text.includes('Fetched 50 messages') || text.includes('isBefore:true');
+    },
+    // DM list and server channel list links (/channels/@me/<id>, /channels/<guild>/<id>)
+    listConversations() {
+      const seen = new Set();
+      const out = [];
+      for (const a of document.querySelectorAll('nav a[href*="/channels/"], [class*="sidebar"] a[href*="/channels/"]')) {
+        const url = absUrl(a.getAttribute('href'));
+        const m = url && new URL(url).pathname.match(/^\/channels\/(@me|\d+)\/(\d+)\/?$/);
+        if (!m || seen.has(url)) continue;
+        seen.add(url);
+        const label = (a.getAttribute('aria-label') || a.textContent || '').replace(/\s+/g, ' ').trim();
+        out.push({ url, name: label || m[2], type: m[1] === '@me' ? 'dm' : 'channel' });
+      }
+      return out;
+    },
+    // Attachments render a media.discordapp.net preview next to an "originalLink" anchor with the CDN original
+    prepareMedia(container) {
+      Array.from(container.querySelectorAll('a[class*="originalLink"], a[href*="cdn.discordapp.com"], a[href*="attachments"]')).forEach(link => {
+        try {
+          const imgUrl = link.href || link.getAttribute('data-safe-src');
+          if (imgUrl && (imgUrl.includes('cdn.discordapp.com') || imgUrl.includes('attachments'))) {
+            const imageContainer = link.closest('[class*="imageWrapper"], [class*="mosaicItem"], [class*="visualMediaItemContainer"], [class*="imageContainer"]');
+            if (imageContainer) {
+              const img = imageContainer.querySelector('img[class*="lazyImg"], img');
+              if (img) {
+                const currentSrc = img.src || img.getAttribute('src') || '';
+                if (!currentSrc || currentSrc.includes('media.discordapp.net') || currentSrc === 'about:blank') {
+                  img.src = imgUrl;
+                  img.removeAttribute('data-src');
+                  img.removeAttribute('data-lazy-src');
+                  img.removeAttribute('data-original');
+                  img.style.display = 'block';
+                  img.style.visibility = 'visible';
+                  img.style.opacity = '1';
+                }
+              }
+            }
+          }
+        } catch (e) {
+          // Skip this link if there's an error
+        }
+      });
+    },
+    resolveImageUrl(img, src) {
+      if (!src || src.includes('media.discordapp.net')) {
+        const imageContainer = img.closest('[class*="imageWrapper"], [class*="mosaicItem"], [class*="visualMediaItemContainer"], [class*="imageContainer"]');
+        const originalLink = imageContainer && imageContainer.querySelector('a[class*="originalLink"], a[href*="cdn.discordapp.com"], a[href*="attachments"]');
+        if (originalLink && originalLink.href) return originalLink.href;
+      }
+      return src;
+    }
+  });
+
+  // ---- Chat Avenue (CodyChat) ----
+  // The room lives in an iframe inside the chat-avenue.com page. The public room
+  // log is ul#show_chat > li#log<id> with .username, .cdate ("14:02") and
+  // .chat_message; private chats open in #private_box with #private_name as the
+  // other person and hunter (own) / target (their) rows.
+
+  function codyPrivateOpen() {
+    const box = document.getElementById('private_box');
+    return !!(box && box.offsetParent !== null && document.querySelector('#private_content li, #private_wrap_content li'));
+  }
+
+  function codyPrivateName() {
+    const el = document.getElementById('private_name');
+    return el ? String(('value' in el ? el.value : el.textContent) || '').trim() || null : null;
+  }
+
+  // CodyChat only shows the time of day (sometimes with a date); pick the most recent matching moment
+  function codyTimeToIso(text) {
+    const s = String(text || '').trim();
+    const full = Date.parse(s);
+    if (s.length > 8 && !isNaN(full)) return new Date(full).toISOString();
+    const m = s.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?/i);
+    if (!m) return null;
+    let hours = Number(m[1]) % 24;
+    if (m[4]) hours = (hours % 12) + (/pm/i.test(m[4]) ? 12 : 0);
+    const d = new Date();
+    d.setHours(hours, Number(m[2]), Number(m[3] || 0), 0);
+    if (/yesterday/i.test(s) || d.getTime() > Date.now() + 60000) d.setDate(d.getDate() - 1);
+    return d.toISOString();
+  }
+
+  registerSiteAdapter({
+    id: 'chatavenue',
+    name: 'Chat Avenue',
+    matches(url) {
+      return /chat-?avenue/i.test(url.hostname) || !!document.querySelector('#show_chat, #chat_logs_container, #private_box');
+    },
+    findMessageContainer() {
+      if (codyPrivateOpen()) return document.querySelector('#private_content ul, #private_wrap_content ul') || document.getElementById('private_content');
+      return document.getElementById('show_chat') || document.querySelector('#chat_logs_container ul');
+    },
+    findScroller() {
+      const container = this.findMessageContainer();
+      return firstScrollable([
+        container,
+        codyPrivateOpen() ? document.getElementById('private_content') : document.getElementById('chat_logs_container')
+      ]);
+    },
+    listMessageNodes() {
+      const container = this.findMessageContainer();
+      return container ? Array.from(container.querySelectorAll(':scope > li')) : [];
+    },
+    // li#log123 (room) / li#priv123 (private); some builds also carry the id in a `data` attribute
+    getMessageId(el) {
+      const m = String(el.id || '').match(/(\d+)$/) || String(el.getAttribute('data') || '').match(/^(\d+)$/);
+      return m ? m[1] : null;
+    },
+    getKey(el, idx) {
+      const id = this.getMessageId(el);
+      return id ? `${codyPrivateOpen() ? 'priv' : 'log'}-${id}` : `sf-key-${idx}-${(el.textContent||'').slice(0,40)}`;
+    },
+    getOrder(el, idx) {
+      const iso = codyTimeToIso((el.querySelector('.cdate, .pdate, .chat_date, .private_date') || {}).textContent);
+      return BigInt(iso ? Date.parse(iso) : Date.now() + idx);
+    },
+    isPlaceholder(el) {
+      return !(el.textContent || '').trim() && !el.querySelector('img');
+    },
+    extractMessage(el) {
+      try {
+        const isPrivate = codyPrivateOpen();
+        const own = /hunter/.test(el.className || '') || !!el.querySelector('[class*="hunter"]');
+        const userEl = el.querySelector('.username, .cname, .chat_user');
+        let authorName = userEl ? (userEl.textContent || '').trim() || null : null;
+        if (!authorName && isPrivate) authorName = own ? 'me' : codyPrivateName();
+        const avatar = el.querySelector('img.avav, img[class*="avatar"], .chat_avatar img, .private_avatar img');
+        const timeEl = el.querySelector('.cdate, .pdate, .chat_date, .private_date');
+        const contentEl = el.querySelector('.chat_message, .private_message, [class*="_private"], [class*="_message"]') || el;
+        const attachments = [];
+        contentEl.querySelectorAll('img').forEach(img => {
+          // Emoticons are inline text, not attachments
+          if (/emo|smil|avav|avatar/i.test(img.className || '')) return;
+          const url = absUrl(img.getAttribute('src'));
+          if (url && !url.startsWith('data:')) attachments.push({ url, filename: decodeURIComponent(url.split('/').pop().split('?')[0] || ''), kind: 'image' });
+        });
+        contentEl.querySelectorAll('a[href]').forEach(a => {
+          const url = absUrl(a.getAttribute('href'));
+          if (url && /\.(png|jpe?g|gif|webp|mp4|webm|pdf|zip)(\?|$)/i.test(url) && !attachments.some(x => x.url === url)) {
+            attachments.push({ url, filename: decodeURIComponent(url.split('/').pop().split('?')[0] || ''), kind: /\.(mp4|webm)/i.test(url) ? 'video' : /\.(png|jpe?g|gif|webp)/i.test(url) ? 'image' : 'file' });
+          }
+        });
+        const contentCopy = contentEl.cloneNode(true);
+        contentCopy.querySelectorAll('.username, .cname, .cdate, .pdate, .chat_date, .private_date, .chat_avatar, .private_avatar').forEach(n => n.remove());
+        return {
+          id: this.getMessageId(el),
+          channelId: null,
+          authorId: null,
+          authorName,
+          avatarUrl: avatar ? absUrl(avatar.getAttribute('src')) : null,
+          timestamp: timeEl ? codyTimeToIso(timeEl.textContent) : null,
+          edited: false,
+          editedTimestamp: null,
+          content: cleanText(contentCopy),
+          mentions: [],
+          attachments,
+          embeds: [],
+          reactions: [],
+          replyTo: null
+        };
+      } catch (e) {
+        console.warn('[ChatGrabber] Error extracting Chat Avenue message:', e);
+        return null;
+      }
+    },
+    // Rooms and private chats only keep a short backlog; once scrolled to the top there is nothing more to load
+    isAtStartOfHistory() {
+      const scroller = this.findScroller();
+      return !scroller || scroller.scrollTop <= 1;
+    },
+    getChannelInfo() {
+      if (codyPrivateOpen()) {
+        const name = codyPrivateName();
+        return { id: null, guildId: null, name: name ? `Private: ${name}` : 'Private chat', scope: name ? `private/${name}` : 'private' };
+      }
+      const roomEl = document.querySelector('#room_title, .room_title, #current_room, .croom_name');
+      const room = roomEl ? (roomEl.textContent || '').trim() : '';
+      return { id: null, guildId: null, name: room || (document.title || '').replace(/\s*[-|].*$/, '').trim() || null };
+    }
+  });
+
+  root.__sf_siteAdapters = {
+    register: registerSiteAdapter,
+    get: getSiteAdapter,
+    list: () => adapters.slice(),
+    helpers: { isScrollable, findScrollableAncestor, firstScrollable, cleanText, absUrl }
+  };
+})(globalThis);
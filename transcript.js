@@ -1,8 +1,22 @@
+
 (function(){
-  const payload = window.__sf_payload || { items: [], title: 'Chat Transcript' };
   const titleEl = document.getElementById('title');
-  titleEl.textContent = (payload.title || 'Chat Transcript') + ' (combined)';
   const list = document.getElementById('list');
+  const captureId = Number(new URLSearchParams(location.search).get('capture'));
+
+  // Opened from the capture library: render the stored message records
+  if (captureId) {
+    if (window.__sf_transcriptLoaded) return;
+    window.__sf_transcriptLoaded = true;
+    renderStoredCapture(captureId).catch((e) => {
+      console.error('[ChatGrabber] Could not load capture', e);
+      titleEl.textContent = 'Could not load capture: ' + (e?.message || e);
+    });
+    return;
+  }
+
+  const payload = window.__sf_payload || { items: [], title: 'Chat Transcript' };
+  titleEl.textContent = (payload.title || 'Chat Transcript') + ' (combined)';
   const frag = document.createDocumentFragment();
   (payload.items || []).forEach((html) => {
     const li = document.createElement('li');
@@ -10,6 +24,75 @@
     frag.appendChild(li);
   });
   list.appendChild(frag);
-})();
 
+  async function renderStoredCapture(id) {
+    const [entry, data] = await Promise.all([getCapture(id), getCaptureData(id)]);
+    if (!entry) throw new Error('not found in the library');
+    const messages = data?.messages || [];
+    const capture = data?.capture || {};
+    titleEl.textContent = `${entry.site || 'Chat'} - ${entry.channel || capture.sourceTitle || 'Chat'} (${messages.length} messages, ${formatTranscriptTimestamp(entry.capturedAt)})`;
+    document.title = entry.channel || 'Chat Transcript';
+    const frag = document.createDocumentFragment();
+    for (const msg of messages) frag.appendChild(renderMessage(msg));
+    list.appendChild(frag);
+    highlightFromHash();
+    window.addEventListener('hashchange', highlightFromHash);
+  }
+
+  // Message text comes from other people; only ever assign it through textContent
+  function renderMessage(msg) {
+    const li = el('li', 'msg');
+    if (msg.id) li.id = 'msg-' + msg.id;
+    if (msg.replyTo) {
+      li.appendChild(el('div', 'reply', `↪ ${msg.replyTo.authorName || 'unknown'}: ${msg.replyTo.excerpt || ''}`));
+    }
+    const meta = el('div', 'meta');
+    if (msg.avatarUrl) {
+      const avatar = el('img', 'avatar');
+      avatar.src = msg.avatarUrl;
+      avatar.alt = '';
+      avatar.loading = 'lazy';
+      meta.appendChild(avatar);
+    }
+    meta.appendChild(el('span', 'author', msg.authorName || 'unknown'));
+    meta.appendChild(el('span', 'time', formatTranscriptTimestamp(msg.timestamp) + (msg.edited ? ' (edited)' : '')));
+    li.appendChild(meta);
+    if (msg.content) li.appendChild(el('div', 'content', msg.content));
+    for (const att of msg.attachments || []) {
+      const box = el('div', 'attachment');
+      if (att.kind === 'image') {
+        const img = el('img');
+        img.src = att.url;
+        img.alt = att.filename || '';
+        img.loading = 'lazy';
+        box.appendChild(img);
+      }
+      const link = el('a', null, att.filename || att.url);
+      link.href = att.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      box.appendChild(link);
+      li.appendChild(box);
+    }
+    for (const emb of msg.embeds || []) {
+      if (!emb.url && !emb.title) continue;
+      const link = el('a', 'embed', emb.title || emb.url);
+      if (emb.url) { link.href = emb.url; link.target = '_blank'; link.rel = 'noopener noreferrer'; }
+      li.appendChild(link);
+    }
+    if (msg.reactions?.length) {
+      li.appendChild(el('div', 'reactions', msg.reactions.map((r) => `${r.emoji} ${r.count}`).join('  ')));
+    }
+    return li;
+  }
+
+  // #msg-<id> jumps to a message and highlights it
+  function highlightFromHash() {
+    const target = location.hash ? document.getElementById(decodeURIComponent(location.hash.slice(1))) : null;
+    if (!target) return;
+    document.querySelectorAll('li.highlight').forEach((n) => n.classList.remove('highlight'));
+    target.classList.add('highlight');
+    target.scrollIntoView({ block: 'center' });
+  }
+})();
 